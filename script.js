@@ -9,6 +9,28 @@ document.addEventListener('DOMContentLoaded', function() {
     const videoCountElement = document.getElementById('video-count');
     const searchInput = document.getElementById('search-input');
     const sortSelect = document.getElementById('sort-select');
+    const typeFilter = document.getElementById('type-filter');
+    const sourceFilter = document.getElementById('source-filter');
+    const tagFilter = document.getElementById('tag-filter');
+    const ratingFilter = document.getElementById('rating-filter');
+    const durationFilter = document.getElementById('duration-filter');
+    const resolutionFilter = document.getElementById('resolution-filter');
+    const favouritesFilter = document.getElementById('favourites-filter');
+    const sectionTitle = document.getElementById('section-title');
+    const breadcrumbsElement = document.getElementById('breadcrumbs');
+    const viewAllBtn = document.getElementById('view-all-btn');
+    const viewFoldersBtn = document.getElementById('view-folders-btn');
+    const viewPlaylistsBtn = document.getElementById('view-playlists-btn');
+    const playlistActions = document.getElementById('playlist-actions');
+    const viewTrashBtn = document.getElementById('view-trash-btn');
+    const selectBtn = document.getElementById('select-btn');
+    const bulkActions = document.getElementById('bulk-actions');
+    const bulkCount = document.getElementById('bulk-count');
+    const bulkRenameBtn = document.getElementById('bulk-rename-btn');
+    const bulkMoveBtn = document.getElementById('bulk-move-btn');
+    const bulkTrashBtn = document.getElementById('bulk-trash-btn');
+    const bulkRestoreBtn = document.getElementById('bulk-restore-btn');
+    const bulkCancelBtn = document.getElementById('bulk-cancel-btn');
     
     // Button Elements
     const connectBtn = document.getElementById('connect-btn');
@@ -16,12 +38,40 @@ document.addEventListener('DOMContentLoaded', function() {
     const logoutBtn = document.getElementById('logout-btn');
     const emptyConnectBtn = document.getElementById('empty-connect-btn');
     const retryBtn = document.getElementById('retry-btn');
+    const adminLink = document.getElementById('admin-link');
+    const currentUserElement = document.getElementById('current-user');
+    const loadMoreContainer = document.getElementById('load-more');
+    const loadMoreBtn = document.getElementById('load-more-btn');
+    const continueSection = document.getElementById('continue-section');
+    const continueContainer = document.getElementById('continue-container');
+    const newPlaylistBtn = document.getElementById('new-playlist-btn');
+    const playPlaylistBtn = document.getElementById('play-playlist-btn');
+    const shufflePlaylistBtn = document.getElementById('shuffle-playlist-btn');
+    const renamePlaylistBtn = document.getElementById('rename-playlist-btn');
+    const deletePlaylistBtn = document.getElementById('delete-playlist-btn');
+    const uploadBtn = document.getElementById('upload-btn');
     
     // Modal Elements
     const authModal = document.getElementById('auth-modal');
     const startAuthBtn = document.getElementById('start-auth');
     const cancelAuthBtn = document.getElementById('cancel-auth');
     const closeModalBtn = document.querySelector('.modal-close');
+    const uploadModal = document.getElementById('upload-modal');
+    const closeUploadBtn = document.getElementById('close-upload');
+    const uploadDisabled = document.getElementById('upload-disabled');
+    const uploadSourceSelect = document.getElementById('upload-source');
+    const uploadFolderPath = document.getElementById('upload-folder-path');
+    const uploadFolderList = document.getElementById('upload-folder-list');
+    const uploadDropZone = document.getElementById('upload-drop-zone');
+    const uploadInput = document.getElementById('upload-input');
+    const uploadList = document.getElementById('upload-list');
+    const moveModal = document.getElementById('move-modal');
+    const moveTitle = document.getElementById('move-title');
+    const closeMoveBtn = document.getElementById('close-move');
+    const moveFolderPath = document.getElementById('move-folder-path');
+    const moveFolderList = document.getElementById('move-folder-list');
+    const moveConfirmBtn = document.getElementById('move-confirm-btn');
+    const moveCancelBtn = document.getElementById('move-cancel-btn');
     
     // Status Elements
     const statusDot = document.getElementById('status-dot');
@@ -33,12 +83,60 @@ document.addEventListener('DOMContentLoaded', function() {
     // State
     let allVideos = [];
     let filteredVideos = [];
+    let allFolders = [];
+    let currentFolderId = new URLSearchParams(window.location.search).get('folder');
+    let folderPath = [];
+    // "all" is the list of playlists, anything else one playlist's videos
+    let currentPlaylistId = new URLSearchParams(window.location.search).get('playlist');
+    let currentPlaylist = null;
+    let allPlaylists = [];
+    // ?trash=1 lists trashed videos instead of the library (admins)
+    let isTrashView = new URLSearchParams(window.location.search).get('trash') === '1';
     let authUrl = '';
+    let nextPageToken = null;
+    let isLoadingMore = false;
+    let searchTimer = null;
+    let loadRequestId = 0;
+    let progressById = {};
+    let currentUser = null;
+    let sourceLabels = {};
+    // GET /api/upload: { enabled, chunkSize, sources }, loaded when the uploader first opens
+    let uploadSettings = null;
+    // Where new uploads go (see FOLDER PICKER)
+    const uploadPicker = createFolderPicker(uploadFolderPath, uploadFolderList);
+    let uploadQueue = Promise.resolve();
+    // Sources whose videos admins can rename, move and trash (/api/sources "writable")
+    let writableSources = new Set();
+    let isSelecting = false;
+    let selectedIds = new Set();
+    const movePicker = createFolderPicker(moveFolderPath, moveFolderList);
+    
+    // Videos requested per page from /api/videos
+    const PAGE_SIZE = 60;
+    
+    // Wait this long after the last keystroke before searching on the server
+    const SEARCH_DEBOUNCE = 350;
+    
+    // Hover time before a card starts loading its scrub preview
+    const PREVIEW_DELAY = 400;
+    
+    // Cards shown in the "Continue Watching" row
+    const CONTINUE_WATCHING_LIMIT = 12;
+    
+    // Failed chunks are retried this many times before an upload gives up
+    const UPLOAD_RETRIES = 5;
+    
+    // Videos per /api/videos/bulk request (the server's limit)
+    const BULK_LIMIT = 100;
     
     // ==================== INITIALIZATION ====================
     function init() {
         setupEventListeners();
+        loadCurrentUser();
         checkAuthStatus();
+        loadProgress();
+        loadSources();
+        loadTags();
         loadVideos();
     }
     
@@ -50,8 +148,56 @@ document.addEventListener('DOMContentLoaded', function() {
         // Button clicks
         if (connectBtn) connectBtn.addEventListener('click', showAuthModal);
         if (refreshBtn) refreshBtn.addEventListener('click', loadVideos);
+        if (logoutBtn) logoutBtn.addEventListener('click', logout);
         if (emptyConnectBtn) emptyConnectBtn.addEventListener('click', showAuthModal);
         if (retryBtn) retryBtn.addEventListener('click', loadVideos);
+        if (loadMoreBtn) loadMoreBtn.addEventListener('click', loadMoreVideos);
+        
+        // Library view: flat list of every video, or folder-by-folder browsing
+        if (viewAllBtn) viewAllBtn.addEventListener('click', () => openFolder(null));
+        if (viewFoldersBtn) viewFoldersBtn.addEventListener('click', () => openFolder('root'));
+        if (viewPlaylistsBtn) viewPlaylistsBtn.addEventListener('click', () => openPlaylist('all'));
+        if (viewTrashBtn) viewTrashBtn.addEventListener('click', openTrash);
+        window.addEventListener('popstate', () => {
+            const params = new URLSearchParams(window.location.search);
+            currentFolderId = params.get('folder');
+            currentPlaylistId = params.get('playlist');
+            isTrashView = params.get('trash') === '1';
+            loadVideos();
+        });
+        
+        // Playlist toolbar
+        if (newPlaylistBtn) newPlaylistBtn.addEventListener('click', createPlaylist);
+        if (playPlaylistBtn) playPlaylistBtn.addEventListener('click', () => playPlaylist(false));
+        if (shufflePlaylistBtn) shufflePlaylistBtn.addEventListener('click', () => playPlaylist(true));
+        if (renamePlaylistBtn) renamePlaylistBtn.addEventListener('click', renamePlaylist);
+        if (deletePlaylistBtn) deletePlaylistBtn.addEventListener('click', deletePlaylist);
+        
+        // Selecting cards for rename, move, trash and restore (admins)
+        if (selectBtn) selectBtn.addEventListener('click', () => setSelecting(!isSelecting));
+        if (bulkCancelBtn) bulkCancelBtn.addEventListener('click', () => setSelecting(false));
+        if (bulkRenameBtn) bulkRenameBtn.addEventListener('click', renameSelected);
+        if (bulkMoveBtn) bulkMoveBtn.addEventListener('click', showMoveModal);
+        if (bulkTrashBtn) bulkTrashBtn.addEventListener('click', () => runBulkAction('trash'));
+        if (bulkRestoreBtn) bulkRestoreBtn.addEventListener('click', () => runBulkAction('restore'));
+        if (moveConfirmBtn) moveConfirmBtn.addEventListener('click', () => runBulkAction('move'));
+        if (moveCancelBtn) moveCancelBtn.addEventListener('click', hideMoveModal);
+        if (closeMoveBtn) closeMoveBtn.addEventListener('click', hideMoveModal);
+        if (moveModal) {
+            moveModal.addEventListener('click', (e) => {
+                if (e.target === moveModal) hideMoveModal();
+            });
+        }
+        
+        // Infinite scroll: fetch the next page when the "Load More" row scrolls into view
+        if (loadMoreContainer && 'IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    loadMoreVideos();
+                }
+            }, { rootMargin: '400px' });
+            observer.observe(loadMoreContainer);
+        }
         
         // Modal buttons
         if (startAuthBtn) startAuthBtn.addEventListener('click', startAuthFlow);
@@ -67,9 +213,65 @@ document.addEventListener('DOMContentLoaded', function() {
             });
         }
         
-        // Search and filter
-        if (searchInput) searchInput.addEventListener('input', filterVideos);
-        if (sortSelect) sortSelect.addEventListener('change', sortVideos);
+        // Uploader (admins): the button, the drop zone, or files dropped anywhere on the page
+        if (uploadBtn) uploadBtn.addEventListener('click', showUploadModal);
+        if (closeUploadBtn) closeUploadBtn.addEventListener('click', hideUploadModal);
+        if (uploadModal) {
+            uploadModal.addEventListener('click', (e) => {
+                if (e.target === uploadModal) hideUploadModal();
+            });
+        }
+        if (uploadSourceSelect) uploadSourceSelect.addEventListener('change', () => {
+            uploadPicker.source = uploadSourceSelect.value;
+            openPickerFolder(uploadPicker, 'root');
+        });
+        if (uploadInput) uploadInput.addEventListener('change', () => {
+            queueUploads(uploadInput.files);
+            uploadInput.value = '';
+        });
+        if (uploadDropZone) {
+            uploadDropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                uploadDropZone.classList.add('dragging');
+            });
+            uploadDropZone.addEventListener('dragleave', () => uploadDropZone.classList.remove('dragging'));
+        }
+        document.addEventListener('dragover', (e) => {
+            if (isAdmin() && e.dataTransfer.types.includes('Files')) e.preventDefault();
+        });
+        document.addEventListener('drop', (e) => {
+            if (!isAdmin() || !e.dataTransfer.files.length) return;
+            e.preventDefault();
+            if (uploadDropZone) uploadDropZone.classList.remove('dragging');
+            showUploadModal().then(() => queueUploads(e.dataTransfer.files));
+        });
+        
+        // Search and filter (sent to the server in the flat view, applied locally inside a folder)
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(applyFilters, SEARCH_DEBOUNCE);
+            });
+        }
+        if (sortSelect) sortSelect.addEventListener('change', applyFilters);
+        if (typeFilter) typeFilter.addEventListener('change', applyFilters);
+        if (tagFilter) tagFilter.addEventListener('change', applyFilters);
+        if (ratingFilter) ratingFilter.addEventListener('change', applyFilters);
+        if (durationFilter) durationFilter.addEventListener('change', applyFilters);
+        if (resolutionFilter) resolutionFilter.addEventListener('change', applyFilters);
+        if (favouritesFilter) favouritesFilter.addEventListener('click', () => {
+            const active = favouritesFilter.classList.toggle('active');
+            favouritesFilter.querySelector('i').className = active ? 'fas fa-heart' : 'far fa-heart';
+            applyFilters();
+        });
+        if (sourceFilter) sourceFilter.addEventListener('change', () => {
+            // Folder IDs belong to one source, so a new source starts from the flat view
+            if (currentFolderId || currentPlaylistId) {
+                openFolder(null);
+            } else {
+                loadVideos();
+            }
+        });
         
         // Listen for messages from auth callback
         window.addEventListener('message', handleAuthMessage);
@@ -84,6 +286,53 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    // ==================== ACCOUNT ====================
+    async function loadCurrentUser() {
+        try {
+            const response = await fetch('/api/me');
+            const data = await response.json();
+            
+            if (response.status === 401 && data.needLogin) {
+                redirectToLogin();
+                return;
+            }
+            
+            currentUser = data.user;
+            
+            if (currentUserElement) {
+                currentUserElement.innerHTML = `<i class="fas fa-user"></i> ${escapeHtml(currentUser.username)}`;
+            }
+            
+            // Connecting Drive, uploading and managing users are admin-only
+            const display = isAdmin() ? 'inline-flex' : 'none';
+            if (adminLink) adminLink.style.display = display;
+            if (connectBtn) connectBtn.style.display = display;
+            if (emptyConnectBtn) emptyConnectBtn.style.display = display;
+            if (uploadBtn) uploadBtn.style.display = display;
+            if (viewTrashBtn) viewTrashBtn.style.display = display;
+            updateSelection();
+        } catch (error) {
+            console.error('Error loading current user:', error);
+        }
+    }
+    
+    async function logout() {
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        window.location.href = '/login';
+    }
+    
+    function isAdmin() {
+        return !!currentUser && currentUser.role === 'admin';
+    }
+    
+    function redirectToLogin() {
+        window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+    }
+    
     // ==================== AUTHENTICATION ====================
     async function checkAuthStatus() {
         try {
@@ -168,30 +417,164 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    // ==================== LIBRARY SOURCES ====================
+    // Google accounts, shared drives, local folders and buckets. The filter and the
+    // card badges only appear when there is more than one.
+    async function loadSources() {
+        try {
+            const response = await fetch('/api/sources');
+            const data = await response.json();
+            if (!data.success) return;
+            
+            sourceLabels = {};
+            data.sources.forEach(source => {
+                sourceLabels[source.id] = source.label;
+            });
+            writableSources = new Set(data.sources.filter(source => source.writable).map(source => source.id));
+            updateSelection();
+            
+            if (!sourceFilter) return;
+            
+            const selected = sourceFilter.value;
+            sourceFilter.innerHTML = '<option value="">All Sources</option>' + data.sources
+                .map(source => `<option value="${escapeHtml(source.id)}">${escapeHtml(source.label)}</option>`)
+                .join('');
+            sourceFilter.value = sourceLabels[selected] ? selected : '';
+            sourceFilter.style.display = data.sources.length > 1 ? '' : 'none';
+            
+            // Cards rendered before the labels arrived get their badges now
+            if (data.sources.length > 1 && filteredVideos.length) displayVideos(filteredVideos);
+        } catch (error) {
+            console.error('Error loading sources:', error);
+        }
+    }
+    
+    function hasMultipleSources() {
+        return Object.keys(sourceLabels).length > 1;
+    }
+    
+    // ==================== TAGS ====================
+    async function loadTags() {
+        if (!tagFilter) return;
+        
+        try {
+            const response = await fetch('/api/tags');
+            const data = await response.json();
+            if (!data.success) return;
+            
+            const selected = tagFilter.value;
+            tagFilter.innerHTML = '<option value="">All Tags</option>' + data.tags
+                .map(tag => `<option value="${escapeHtml(tag.name)}">${escapeHtml(tag.name)} (${tag.count})</option>`)
+                .join('');
+            tagFilter.value = data.tags.some(tag => tag.name === selected) ? selected : '';
+            tagFilter.style.display = data.tags.length ? '' : 'none';
+        } catch (error) {
+            console.error('Error loading tags:', error);
+        }
+    }
+    
     // ==================== VIDEO MANAGEMENT ====================
+    async function fetchVideoPage(pageToken) {
+        const params = new URLSearchParams({ limit: PAGE_SIZE });
+        if (pageToken) params.set('pageToken', pageToken);
+        if (sourceFilter && sourceFilter.value) params.set('source', sourceFilter.value);
+        
+        if (!currentFolderId) {
+            const searchTerm = searchInput ? searchInput.value.trim() : '';
+            if (searchTerm) params.set('q', searchTerm);
+            if (sortSelect) params.set('sort', sortSelect.value);
+            if (typeFilter && typeFilter.value) params.set('mimeType', typeFilter.value);
+            if (tagFilter && tagFilter.value) params.set('tag', tagFilter.value);
+            if (ratingFilter && ratingFilter.value) params.set('minRating', ratingFilter.value);
+            if (isFavouritesOnly()) params.set('favourites', 'true');
+            if (resolutionFilter && resolutionFilter.value) params.set('resolution', resolutionFilter.value);
+            
+            const { minDuration, maxDuration } = getDurationRange();
+            if (minDuration) params.set('minDuration', minDuration);
+            if (maxDuration) params.set('maxDuration', maxDuration);
+        }
+        
+        const endpoint = currentFolderId
+            ? `/api/folders/${encodeURIComponent(currentFolderId)}`
+            : '/api/videos';
+        
+        const response = await fetch(`${endpoint}?${params.toString()}`);
+        return response.json();
+    }
+    
     async function loadVideos() {
+        // Responses from superseded searches are dropped
+        const requestId = ++loadRequestId;
+        
         try {
             showLoading();
             hideStates();
+            nextPageToken = null;
+            allVideos = [];
+            allFolders = [];
+            allPlaylists = [];
+            selectedIds.clear();
+            if (!currentPlaylist || currentPlaylist.id !== currentPlaylistId) currentPlaylist = null;
+            updateLoadMore();
+            updateLibraryView();
+            
+            if (currentPlaylistId) {
+                await loadPlaylistView(requestId);
+                return;
+            }
+            if (isTrashView) {
+                await loadTrashView(requestId);
+                return;
+            }
             
             console.log('Loading videos from API...');
-            const response = await fetch('/api/videos');
-            const data = await response.json();
+            const data = await fetchVideoPage(null);
+            if (requestId !== loadRequestId) return;
             
             console.log('API Response:', data);
             
             if (data.error) {
+                if (data.needLogin) {
+                    redirectToLogin();
+                    return;
+                }
+                
                 if (data.needAuth) {
                     authUrl = data.authUrl || '';
-                    showEmptyState('Please connect Google Drive to view your videos.');
+                    showEmptyState(currentUser && currentUser.role !== 'admin'
+                        ? 'Google Drive is not connected yet. Ask an admin to connect it.'
+                        : 'Please connect Google Drive to view your videos.');
                     return;
                 }
                 
                 throw new Error(data.error || 'Failed to load videos');
             }
             
-            if (!data.videos || data.videos.length === 0) {
-                showEmptyState('No videos found in your Google Drive.');
+            // Other sources still load when one account or bucket is unreachable
+            if (data.sourceErrors) {
+                const failed = data.sourceErrors.map(entry => sourceLabels[entry.source] || entry.source);
+                showMessage(`⚠️ Could not load ${failed.join(', ')}`, 'warning');
+            }
+            // Rating and length order need the library index, which is still being built
+            if (data.sortUnavailable) {
+                const sortLabel = sortSelect.options[sortSelect.selectedIndex].text;
+                showMessage(`⚠️ "${sortLabel}" is available once the library has been indexed; showing newest first`, 'warning');
+            }
+            
+            if (currentFolderId) {
+                folderPath = data.path || [];
+                allFolders = data.folders || [];
+                updateLibraryView();
+            }
+            
+            if ((!data.videos || data.videos.length === 0) && allFolders.length === 0) {
+                if (currentFolderId) {
+                    showEmptyState('This folder has no videos or subfolders.');
+                } else if (hasActiveFilters()) {
+                    showEmptyState('No videos match your search.');
+                } else {
+                    showEmptyState('No videos found in your Google Drive.');
+                }
                 return;
             }
             
@@ -203,18 +586,175 @@ document.addEventListener('DOMContentLoaded', function() {
             });
             
             allVideos = data.videos;
-            filteredVideos = [...allVideos];
+            nextPageToken = data.nextPageToken || null;
             
-            updateVideoCount();
-            sortVideos();
-            displayVideos(filteredVideos);
+            filterVideos();
             
         } catch (error) {
+            if (requestId !== loadRequestId) return;
             console.error('Error loading videos:', error);
             showErrorState('Failed to load videos: ' + error.message);
         } finally {
-            hideLoading();
+            if (requestId === loadRequestId) {
+                hideLoading();
+                updateLoadMore();
+            }
+        }
+    }
+    
+    async function loadMoreVideos() {
+        if (!nextPageToken || isLoadingMore) return;
+        
+        isLoadingMore = true;
+        updateLoadMore();
+        const requestId = loadRequestId;
+        
+        try {
+            console.log('Loading next page of videos...');
+            const data = await fetchVideoPage(nextPageToken);
+            if (requestId !== loadRequestId) return;
+            
+            if (data.error) {
+                throw new Error(data.message || data.error);
+            }
+            
+            console.log(`Received ${data.videos.length} more videos`);
+            
+            allVideos = allVideos.concat(data.videos);
+            allFolders = allFolders.concat(data.folders || []);
+            nextPageToken = data.nextPageToken || null;
+            
+            filterVideos();
+            
+        } catch (error) {
+            console.error('Error loading more videos:', error);
+            showMessage('❌ Failed to load more videos: ' + error.message, 'error');
+        } finally {
+            isLoadingMore = false;
+            updateLoadMore();
+        }
+    }
+    
+    function updateLoadMore() {
+        if (!loadMoreContainer) return;
+        
+        loadMoreContainer.style.display = nextPageToken ? 'flex' : 'none';
+        
+        if (loadMoreBtn) {
+            loadMoreBtn.disabled = isLoadingMore;
+            loadMoreBtn.innerHTML = isLoadingMore
+                ? '<i class="fas fa-spinner fa-spin"></i> Loading...'
+                : '<i class="fas fa-chevron-down"></i> Load More';
+        }
+    }
+    
+    // ==================== FOLDER NAVIGATION ====================
+    function openFolder(folderId) {
+        if (folderId === currentFolderId && !currentPlaylistId && !isTrashView) return;
+        
+        currentFolderId = folderId;
+        currentPlaylistId = null;
+        currentPlaylist = null;
+        isTrashView = false;
+        folderPath = [];
+        
+        const url = folderId ? `?folder=${encodeURIComponent(folderId)}` : window.location.pathname;
+        history.pushState({ folder: folderId }, '', url);
+        
+        if (searchInput) searchInput.value = '';
+        loadVideos();
+    }
+    
+    function updateLibraryView() {
+        const isOpenPlaylist = !!currentPlaylistId && currentPlaylistId !== 'all';
+        
+        if (viewAllBtn) viewAllBtn.classList.toggle('active', !currentFolderId && !currentPlaylistId && !isTrashView);
+        if (viewTrashBtn) viewTrashBtn.classList.toggle('active', isTrashView);
+        if (viewFoldersBtn) viewFoldersBtn.classList.toggle('active', !!currentFolderId);
+        if (viewPlaylistsBtn) viewPlaylistsBtn.classList.toggle('active', !!currentPlaylistId);
+        
+        if (sectionTitle) {
+            const current = folderPath[folderPath.length - 1];
+            if (currentPlaylistId) {
+                sectionTitle.textContent = currentPlaylist ? currentPlaylist.name : 'Playlists';
+            } else if (isTrashView) {
+                sectionTitle.textContent = 'Trash';
+            } else {
+                sectionTitle.textContent = currentFolderId ? (current ? current.name : 'Folders') : 'My Videos';
+            }
         }
+        
+        if (playlistActions) {
+            playlistActions.style.display = currentPlaylistId ? 'flex' : 'none';
+            newPlaylistBtn.style.display = isOpenPlaylist ? 'none' : '';
+            [playPlaylistBtn, shufflePlaylistBtn, renamePlaylistBtn, deletePlaylistBtn].forEach(button => {
+                button.style.display = isOpenPlaylist && currentPlaylist ? '' : 'none';
+            });
+            playPlaylistBtn.disabled = shufflePlaylistBtn.disabled = !(currentPlaylist && currentPlaylist.items.length);
+        }
+        
+        renderBreadcrumbs();
+        updateSelection();
+    }
+    
+    function renderBreadcrumbs() {
+        if (!breadcrumbsElement) return;
+        
+        // An open playlist gets a way back to the list of playlists
+        const crumbs = currentPlaylistId
+            ? (currentPlaylist ? [{ id: 'all', name: 'Playlists' }, currentPlaylist] : [])
+            : folderPath;
+        
+        breadcrumbsElement.innerHTML = '';
+        breadcrumbsElement.style.display = currentFolderId || crumbs.length ? 'flex' : 'none';
+        
+        crumbs.forEach((folder, index) => {
+            if (index > 0) {
+                const separator = document.createElement('i');
+                separator.className = 'fas fa-chevron-right breadcrumb-separator';
+                breadcrumbsElement.appendChild(separator);
+            }
+            
+            const isLast = index === crumbs.length - 1;
+            const crumb = document.createElement(isLast ? 'span' : 'button');
+            crumb.className = isLast ? 'breadcrumb current' : 'breadcrumb';
+            crumb.textContent = folder.name;
+            
+            if (!isLast && currentPlaylistId) {
+                crumb.addEventListener('click', () => openPlaylist(folder.id));
+            } else if (!isLast) {
+                // The first crumb is "My Drive"; go back through "root" so the URL stays readable
+                const targetId = index === 0 ? 'root' : folder.id;
+                crumb.addEventListener('click', () => openFolder(targetId));
+            }
+            
+            breadcrumbsElement.appendChild(crumb);
+        });
+    }
+    
+    function createFolderCard(folder) {
+        const card = document.createElement('div');
+        card.className = 'video-card folder-card';
+        card.dataset.id = folder.id;
+        
+        card.innerHTML = `
+            <div class="video-thumbnail folder-thumbnail">
+                <i class="fas fa-folder"></i>
+            </div>
+            <div class="video-overlay">
+                <div class="video-title">${escapeHtml(truncateText(folder.name, 40))}</div>
+                <div class="video-meta">
+                    <span>Folder</span>
+                </div>
+            </div>
+        `;
+        
+        card.addEventListener('click', function(e) {
+            e.preventDefault();
+            openFolder(folder.id);
+        });
+        
+        return card;
     }
     
     function displayVideos(videos) {
@@ -222,13 +762,27 @@ document.addEventListener('DOMContentLoaded', function() {
         
         videosContainer.innerHTML = '';
         
-        if (videos.length === 0) {
+        const searchTerm = searchInput ? searchInput.value.toLowerCase().trim() : '';
+        const folders = allFolders.filter(folder => folder.name.toLowerCase().includes(searchTerm));
+        const hasPlaylists = allPlaylists.some(playlist => playlist.name.toLowerCase().includes(searchTerm));
+        
+        if (videos.length === 0 && folders.length === 0 && !hasPlaylists) {
             showEmptyState('No videos match your search.');
             return;
         }
         
+        folders.forEach(folder => {
+            videosContainer.appendChild(createFolderCard(folder));
+        });
+        
+        allPlaylists
+            .filter(playlist => playlist.name.toLowerCase().includes(searchTerm))
+            .forEach(playlist => videosContainer.appendChild(createPlaylistCard(playlist)));
+        
         videos.forEach(video => {
             const videoCard = createVideoCard(video);
+            // Reordering only makes sense while the whole playlist is on screen
+            if (video.playlistId && !searchTerm) addPlaylistItemActions(videoCard, video);
             videosContainer.appendChild(videoCard);
         });
     }
@@ -241,10 +795,38 @@ document.addEventListener('DOMContentLoaded', function() {
         card.dataset.id = video.id;
         
         const thumbnailColor = stringToColor(video.title);
+        const thumbnailImage = video.thumbnailUrl
+            ? `<img class="thumbnail-image" src="${escapeHtml(video.thumbnailUrl)}" alt="" loading="lazy">`
+            : '';
+        const sourceBadge = hasMultipleSources() && video.source
+            ? `<span class="source-badge">${escapeHtml(sourceLabels[video.source] || video.source)}</span>`
+            : '';
+        const durationBadge = video.durationSeconds
+            ? `<span class="duration-badge">${formatTime(video.durationSeconds)}</span>`
+            : '';
+        const resolutionBadge = video.resolution
+            ? `<span class="resolution-badge">${escapeHtml(video.resolution)}</span>`
+            : '';
+        const favouriteBadge = video.favourite
+            ? '<span class="favourite-badge" title="Favourite"><i class="fas fa-heart"></i></span>'
+            : '';
+        const rating = video.rating
+            ? `<span class="card-rating" title="Rated ${video.rating} of 5">${'★'.repeat(video.rating)}</span>`
+            : '';
+        const tags = video.tags && video.tags.length
+            ? `<div class="card-tags">${video.tags.map(tag => `<span class="card-tag">${escapeHtml(tag)}</span>`).join('')}</div>`
+            : '';
         
         card.innerHTML = `
             <div class="video-thumbnail" style="background: linear-gradient(135deg, ${thumbnailColor} 0%, ${darkenColor(thumbnailColor, 20)} 100%);">
                 <i class="fas fa-film"></i>
+                ${thumbnailImage}
+                ${sourceBadge}
+                ${favouriteBadge}
+                ${resolutionBadge}
+                ${durationBadge}
+                <div class="select-check"><i class="fas fa-check"></i></div>
+                <div class="scrub-bar"></div>
                 <div class="play-btn">
                     <i class="fas fa-play"></i>
                 </div>
@@ -253,18 +835,35 @@ document.addEventListener('DOMContentLoaded', function() {
                 <div class="video-title">${escapeHtml(truncateText(video.title, 40))}</div>
                 <div class="video-meta">
                     <span>${video.created || 'Unknown date'}</span>
+                    ${rating}
                     <span>${video.size}</span>
                 </div>
+                ${tags}
             </div>
         `;
         
+        // Fall back to the gradient if Drive has no frame for this file after all
+        const image = card.querySelector('.thumbnail-image');
+        if (image) {
+            image.addEventListener('error', () => image.remove());
+        }
+        
+        setupHoverPreview(card, video);
+        addProgressBar(card, progressById[video.id]);
+        
         // FIXED: Store video data on the element
         card.videoData = video;
+        card.classList.toggle('selected', selectedIds.has(video.id));
         
         card.addEventListener('click', function(e) {
             e.preventDefault();
             e.stopPropagation();
             
+            if (isSelectingCards()) {
+                toggleSelected(this);
+                return;
+            }
+            
             const videoId = this.videoData.id;
             const videoTitle = this.videoData.title;
             
@@ -273,24 +872,874 @@ document.addEventListener('DOMContentLoaded', function() {
             console.log('ID:', videoId);
             console.log('Opening URL:', `/player.html?id=${videoId}`);
             
+            // Videos opened from a playlist keep playing through it
+            const playlistParam = this.videoData.playlistId ? `&playlist=${encodeURIComponent(this.videoData.playlistId)}` : '';
+            
             // Add cache buster to prevent caching
             const cacheBuster = Date.now();
-            window.location.href = `/player.html?id=${videoId}&_=${cacheBuster}`;
+            window.location.href = `/player.html?id=${videoId}${playlistParam}&_=${cacheBuster}`;
         });
         
         return card;
     }
     
-    function filterVideos() {
-        const searchTerm = searchInput.value.toLowerCase().trim();
+    // ==================== PLAYLISTS ====================
+    function openPlaylist(playlistId) {
+        if (playlistId === currentPlaylistId) return;
         
-        if (!searchTerm) {
-            filteredVideos = [...allVideos];
+        currentPlaylistId = playlistId;
+        currentFolderId = null;
+        isTrashView = false;
+        folderPath = [];
+        
+        history.pushState({ playlist: playlistId }, '', `?playlist=${encodeURIComponent(playlistId)}`);
+        
+        if (searchInput) searchInput.value = '';
+        loadVideos();
+    }
+    
+    async function playlistRequest(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+        });
+        const data = await response.json();
+        
+        if (data.needLogin) {
+            redirectToLogin();
+        }
+        if (!data.success) {
+            throw new Error(data.error || 'Playlist request failed');
+        }
+        return data;
+    }
+    
+    async function loadPlaylistView(requestId) {
+        if (currentPlaylistId === 'all') {
+            const data = await playlistRequest('/api/playlists');
+            if (requestId !== loadRequestId) return;
+            
+            allPlaylists = data.playlists;
+            updateLibraryView();
+            
+            if (allPlaylists.length === 0) {
+                showEmptyState('No playlists yet. Create one here, then add videos from the player.');
+                return;
+            }
+        } else {
+            const data = await playlistRequest(`/api/playlists/${encodeURIComponent(currentPlaylistId)}`);
+            if (requestId !== loadRequestId) return;
+            
+            showPlaylist(data.playlist);
+            
+            if (allVideos.length === 0) {
+                showEmptyState('This playlist is empty. Use "Add to Playlist" in the player to fill it.');
+                return;
+            }
+        }
+        
+        filterVideos();
+    }
+    
+    function showPlaylist(playlist) {
+        currentPlaylist = playlist;
+        allVideos = playlist.items.map((item, index) => ({
+            id: item.videoId,
+            title: item.title || 'Untitled video',
+            type: item.type,
+            thumbnailUrl: `/api/thumbnail/${encodeURIComponent(item.videoId)}`,
+            created: `#${index + 1}`,
+            size: `Added ${new Date(item.addedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`,
+            playlistId: playlist.id
+        }));
+        updateLibraryView();
+    }
+    
+    function createPlaylistCard(playlist) {
+        const card = document.createElement('div');
+        card.className = 'video-card folder-card';
+        card.dataset.id = playlist.id;
+        
+        const cover = playlist.firstVideoId
+            ? `<img class="thumbnail-image" src="/api/thumbnail/${encodeURIComponent(playlist.firstVideoId)}" alt="" loading="lazy">`
+            : '';
+        
+        card.innerHTML = `
+            <div class="video-thumbnail folder-thumbnail playlist-thumbnail">
+                <i class="fas fa-list"></i>
+                ${cover}
+                <div class="playlist-count">
+                    ${playlist.itemCount}
+                    <i class="fas fa-list"></i>
+                </div>
+            </div>
+            <div class="video-overlay">
+                <div class="video-title">${escapeHtml(truncateText(playlist.name, 40))}</div>
+                <div class="video-meta">
+                    <span>${playlist.itemCount} video${playlist.itemCount !== 1 ? 's' : ''}</span>
+                    <span>${new Date(playlist.updatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                </div>
+            </div>
+        `;
+        
+        const image = card.querySelector('.thumbnail-image');
+        if (image) {
+            image.addEventListener('error', () => image.remove());
+        }
+        
+        card.addEventListener('click', function(e) {
+            e.preventDefault();
+            openPlaylist(playlist.id);
+        });
+        
+        return card;
+    }
+    
+    // Move up / move down / remove buttons on the cards of an open playlist
+    function addPlaylistItemActions(card, video) {
+        const index = currentPlaylist.items.findIndex(item => item.videoId === video.id);
+        const actions = document.createElement('div');
+        actions.className = 'playlist-item-actions';
+        actions.innerHTML = `
+            <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+            <button data-action="down" title="Move down" ${index === currentPlaylist.items.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+            <button data-action="remove" title="Remove from playlist"><i class="fas fa-times"></i></button>
+        `;
+        
+        actions.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            const button = e.target.closest('button');
+            if (!button || button.disabled) return;
+            
+            if (button.dataset.action === 'remove') {
+                removeFromPlaylist(video);
+            } else {
+                moveInPlaylist(index, button.dataset.action === 'up' ? index - 1 : index + 1);
+            }
+        });
+        
+        card.querySelector('.video-thumbnail').appendChild(actions);
+    }
+    
+    async function moveInPlaylist(from, to) {
+        const videoIds = currentPlaylist.items.map(item => item.videoId);
+        videoIds.splice(to, 0, videoIds.splice(from, 1)[0]);
+        
+        try {
+            const data = await playlistRequest(`/api/playlists/${encodeURIComponent(currentPlaylist.id)}/items`, {
+                method: 'PUT',
+                body: JSON.stringify({ videoIds })
+            });
+            showPlaylist(data.playlist);
+            filterVideos();
+        } catch (error) {
+            showMessage('❌ ' + error.message, 'error');
+        }
+    }
+    
+    async function removeFromPlaylist(video) {
+        try {
+            const data = await playlistRequest(`/api/playlists/${encodeURIComponent(currentPlaylist.id)}/items/${encodeURIComponent(video.id)}`, {
+                method: 'DELETE'
+            });
+            showPlaylist(data.playlist);
+            
+            if (allVideos.length === 0) {
+                showEmptyState('This playlist is empty. Use "Add to Playlist" in the player to fill it.');
+            } else {
+                filterVideos();
+            }
+            showMessage(`Removed "${video.title}" from ${currentPlaylist.name}`, 'success');
+        } catch (error) {
+            showMessage('❌ ' + error.message, 'error');
+        }
+    }
+    
+    async function createPlaylist() {
+        const name = prompt('Name for the new playlist:');
+        if (!name || !name.trim()) return;
+        
+        try {
+            const data = await playlistRequest('/api/playlists', {
+                method: 'POST',
+                body: JSON.stringify({ name })
+            });
+            openPlaylist(data.playlist.id);
+        } catch (error) {
+            showMessage('❌ ' + error.message, 'error');
+        }
+    }
+    
+    async function renamePlaylist() {
+        const name = prompt('Rename playlist:', currentPlaylist.name);
+        if (!name || !name.trim() || name === currentPlaylist.name) return;
+        
+        try {
+            const data = await playlistRequest(`/api/playlists/${encodeURIComponent(currentPlaylist.id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ name })
+            });
+            currentPlaylist.name = data.playlist.name;
+            updateLibraryView();
+        } catch (error) {
+            showMessage('❌ ' + error.message, 'error');
+        }
+    }
+    
+    async function deletePlaylist() {
+        if (!confirm(`Delete the playlist "${currentPlaylist.name}"? The videos stay in your library.`)) return;
+        
+        try {
+            await playlistRequest(`/api/playlists/${encodeURIComponent(currentPlaylist.id)}`, { method: 'DELETE' });
+            showMessage(`Deleted ${currentPlaylist.name}`, 'success');
+            openPlaylist('all');
+        } catch (error) {
+            showMessage('❌ ' + error.message, 'error');
+        }
+    }
+    
+    // The player takes it from here: next/previous, shuffle and repeat live there
+    function playPlaylist(shuffle) {
+        if (!currentPlaylist || currentPlaylist.items.length === 0) return;
+        
+        const items = currentPlaylist.items;
+        const first = shuffle ? items[Math.floor(Math.random() * items.length)] : items[0];
+        const params = new URLSearchParams({ id: first.videoId, playlist: currentPlaylist.id });
+        if (shuffle) params.set('shuffle', '1');
+        
+        window.location.href = `/player.html?${params.toString()}`;
+    }
+    
+    // ==================== FOLDER PICKER ====================
+    // The uploader and "Move" pick a Drive folder by browsing one source's subfolders.
+    // folderPath is the trail from the top of the source down to folderId.
+    function createFolderPicker(pathElement, listElement) {
+        return { source: 'drive', folderId: 'root', folderPath: [], pathElement, listElement };
+    }
+    
+    async function loadPickerFolders(picker, folderId) {
+        picker.listElement.innerHTML = '<p class="upload-folder-empty">Loading folders...</p>';
+        
+        const response = await fetch(`/api/folders/${encodeURIComponent(folderId)}?source=${encodeURIComponent(picker.source)}&limit=1000`);
+        const data = await response.json();
+        if (!data.success) {
+            picker.listElement.innerHTML = '';
+            throw new Error(data.error || 'Could not load folders');
+        }
+        
+        picker.folderId = folderId;
+        picker.folderPath = data.path || [];
+        renderPickerFolders(picker, data.folders || []);
+    }
+    
+    function renderPickerFolders(picker, folders) {
+        picker.pathElement.innerHTML = '';
+        picker.folderPath.forEach((folder, index) => {
+            if (index > 0) {
+                const separator = document.createElement('i');
+                separator.className = 'fas fa-chevron-right breadcrumb-separator';
+                picker.pathElement.appendChild(separator);
+            }
+            
+            const crumb = document.createElement('button');
+            crumb.className = index === picker.folderPath.length - 1 ? 'breadcrumb current' : 'breadcrumb';
+            crumb.textContent = folder.name;
+            crumb.addEventListener('click', () => openPickerFolder(picker, index === 0 ? 'root' : folder.id));
+            picker.pathElement.appendChild(crumb);
+        });
+        
+        picker.listElement.innerHTML = folders.length ? '' : '<p class="upload-folder-empty">No subfolders</p>';
+        folders.forEach(folder => {
+            const button = document.createElement('button');
+            button.className = 'upload-folder';
+            button.innerHTML = `<i class="fas fa-folder"></i> ${escapeHtml(folder.name)}`;
+            button.addEventListener('click', () => openPickerFolder(picker, folder.id));
+            picker.listElement.appendChild(button);
+        });
+    }
+    
+    function openPickerFolder(picker, folderId) {
+        loadPickerFolders(picker, folderId).catch(error => showMessage(`❌ ${error.message}`, 'error'));
+    }
+    
+    // ==================== UPLOADS ====================
+    // Files go up one after another in chunks through /api/upload, which relays them
+    // into Drive. A failed chunk is retried from wherever Drive says it got to.
+    async function showUploadModal() {
+        if (!uploadModal || uploadModal.style.display === 'flex') return;
+        uploadModal.style.display = 'flex';
+        
+        try {
+            if (!uploadSettings) {
+                const response = await fetch('/api/upload');
+                const data = await response.json();
+                if (!data.success) throw new Error(data.error || 'Could not load upload settings');
+                uploadSettings = data;
+                
+                uploadSourceSelect.innerHTML = data.sources
+                    .map(source => `<option value="${escapeHtml(source.id)}">${escapeHtml(source.label)}</option>`)
+                    .join('');
+                uploadSourceSelect.style.display = data.sources.length > 1 ? '' : 'none';
+            }
+            
+            uploadDisabled.textContent = 'Uploads are turned off. Set DRIVE_WRITE_ACCESS=true on the server and reconnect Google Drive.';
+            uploadDisabled.style.display = uploadSettings.enabled ? 'none' : '';
+            uploadDropZone.classList.toggle('disabled', !uploadSettings.enabled);
+            
+            // Start in the folder being browsed, if there is one
+            const browsedSource = (sourceFilter && sourceFilter.value) || 'drive';
+            if (currentFolderId && uploadSettings.sources.some(source => source.id === browsedSource)) {
+                uploadPicker.source = browsedSource;
+                await loadPickerFolders(uploadPicker, currentFolderId);
+            } else {
+                await loadPickerFolders(uploadPicker, uploadPicker.folderId);
+            }
+            uploadSourceSelect.value = uploadPicker.source;
+        } catch (error) {
+            console.error('Error opening uploader:', error);
+            showMessage(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    function hideUploadModal() {
+        if (uploadModal) uploadModal.style.display = 'none';
+    }
+    
+    function queueUploads(files) {
+        if (!uploadSettings || !uploadSettings.enabled) return;
+        
+        [...files].forEach(file => {
+            const item = createUploadItem(file);
+            // Each file keeps the destination that was picked when it was added
+            const { source, folderId, folderPath } = uploadPicker;
+            const destination = { source, folderId, folderPath };
+            uploadQueue = uploadQueue.then(() => uploadFile(file, destination, item));
+        });
+    }
+    
+    function createUploadItem(file) {
+        const item = document.createElement('div');
+        item.className = 'upload-item';
+        item.innerHTML = `
+            <div class="upload-item-header">
+                <span class="upload-item-name">${escapeHtml(file.name)}</span>
+                <button class="upload-cancel" title="Cancel"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="upload-progress"><div class="upload-progress-fill"></div></div>
+            <div class="upload-item-status">Waiting...</div>
+        `;
+        item.cancelled = false;
+        item.querySelector('.upload-cancel').addEventListener('click', () => {
+            item.cancelled = true;
+            if (item.uploadId) fetch(`/api/upload/${item.uploadId}`, { method: 'DELETE' }).catch(() => {});
+            setUploadStatus(item, 'Cancelled', 'cancelled');
+        });
+        uploadList.appendChild(item);
+        return item;
+    }
+    
+    function setUploadStatus(item, text, state = '', received = null, size = null) {
+        item.querySelector('.upload-item-status').textContent = text;
+        if (state) item.className = `upload-item ${state}`;
+        if (received !== null) {
+            item.querySelector('.upload-progress-fill').style.width = `${size ? (received / size) * 100 : 100}%`;
+        }
+        const cancelButton = item.querySelector('.upload-cancel');
+        if (state && cancelButton) cancelButton.remove();
+    }
+    
+    async function uploadFile(file, destination, item) {
+        if (item.cancelled) return;
+        
+        try {
+            const response = await fetch('/api/upload', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: file.name,
+                    size: file.size,
+                    mimeType: file.type,
+                    source: destination.source,
+                    folderId: destination.folderId
+                })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.message || data.error || 'Could not start the upload');
+            
+            item.uploadId = data.upload.id;
+            const video = await sendUploadChunks(file, data.upload, item);
+            if (!video) return;
+            
+            setUploadStatus(item, 'Done', 'done', file.size, file.size);
+            showMessage(`✅ Uploaded "${video.title}"`, 'success');
+            addUploadedVideo(video, destination);
+        } catch (error) {
+            console.error(`Error uploading ${file.name}:`, error);
+            if (!item.cancelled) setUploadStatus(item, error.message, 'failed');
+        }
+    }
+    
+    // Resolves with the new video, or null when the upload was cancelled
+    async function sendUploadChunks(file, upload, item) {
+        let offset = 0;
+        let failures = 0;
+        
+        while (!item.cancelled) {
+            const end = Math.min(offset + upload.chunkSize, file.size);
+            setUploadStatus(item, `${formatFileSize(offset)} of ${formatFileSize(file.size)}`, '', offset, file.size);
+            
+            try {
+                const response = await fetch(`/api/upload/${upload.id}`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'Content-Range': `bytes ${offset}-${end - 1}/${file.size}`
+                    },
+                    body: file.slice(offset, end)
+                });
+                const data = await response.json();
+                
+                if (data.video) return data.video;
+                // Out-of-order answers (409) also say where to carry on from
+                if (data.upload) {
+                    if (response.status === 409) await new Promise(resolve => setTimeout(resolve, 1000));
+                    offset = data.upload.received;
+                    failures = 0;
+                    continue;
+                }
+                
+                const error = new Error(data.message || data.error || 'Upload failed');
+                error.status = response.status;
+                throw error;
+            } catch (error) {
+                // 4xx answers will not get better by trying again
+                if ((error.status && error.status < 500) || ++failures > UPLOAD_RETRIES) throw error;
+                
+                setUploadStatus(item, `Connection problem, retrying (${failures}/${UPLOAD_RETRIES})...`);
+                await new Promise(resolve => setTimeout(resolve, 2000 * failures));
+                
+                const response = await fetch(`/api/upload/${upload.id}`).catch(() => null);
+                const data = response ? await response.json().catch(() => null) : null;
+                if (data && data.upload) offset = data.upload.received;
+            }
+        }
+        return null;
+    }
+    
+    // New videos show up straight away wherever they belong on screen
+    function addUploadedVideo(video, destination) {
+        if (currentPlaylistId || isTrashView) return;
+        
+        if (currentFolderId) {
+            const current = folderPath[folderPath.length - 1];
+            const target = destination.folderPath[destination.folderPath.length - 1];
+            const browsedSource = (sourceFilter && sourceFilter.value) || 'drive';
+            if (!current || !target || current.id !== target.id || browsedSource !== destination.source) return;
+        } else if (sourceFilter && sourceFilter.value && sourceFilter.value !== destination.source) {
+            return;
+        }
+        
+        allVideos = [video, ...allVideos.filter(existing => existing.id !== video.id)];
+        hideStates();
+        hideLoading();
+        filterVideos();
+    }
+    
+    // ==================== LIBRARY MANAGEMENT ====================
+    // Admins select cards to rename, move or trash them, and restore them from the Trash
+    // view. Only videos in writable sources (Drive, with write access turned on) take part.
+    function openTrash() {
+        if (isTrashView) return;
+        
+        isTrashView = true;
+        currentFolderId = null;
+        currentPlaylistId = null;
+        currentPlaylist = null;
+        folderPath = [];
+        
+        history.pushState({ trash: true }, '', '?trash=1');
+        
+        if (searchInput) searchInput.value = '';
+        loadVideos();
+    }
+    
+    async function libraryRequest(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: options.body ? { 'Content-Type': 'application/json' } : undefined
+        });
+        const data = await response.json();
+        
+        if (data.needLogin) {
+            redirectToLogin();
+        }
+        if (!data.success) {
+            throw new Error(data.message || data.error || 'Request failed');
+        }
+        return data;
+    }
+    
+    async function loadTrashView(requestId) {
+        const params = new URLSearchParams();
+        if (sourceFilter && sourceFilter.value) params.set('source', sourceFilter.value);
+        
+        const data = await libraryRequest(`/api/trash?${params.toString()}`);
+        if (requestId !== loadRequestId) return;
+        
+        allVideos = data.videos;
+        if (data.truncated) {
+            showMessage('⚠️ The trash is too large to list in full; showing the most recently trashed videos', 'warning');
+        }
+        if (allVideos.length === 0) {
+            showEmptyState('The trash is empty.');
+            return;
+        }
+        
+        filterVideos();
+    }
+    
+    function canSelect() {
+        return isAdmin() && writableSources.size > 0 && !currentPlaylistId;
+    }
+    
+    // Trashed videos can only be restored, so the Trash view is always selecting
+    function isSelectingCards() {
+        return (isSelecting || isTrashView) && canSelect();
+    }
+    
+    function setSelecting(selecting) {
+        isSelecting = selecting;
+        selectedIds.clear();
+        document.querySelectorAll('.video-card.selected').forEach(card => card.classList.remove('selected'));
+        updateSelection();
+    }
+    
+    function toggleSelected(card) {
+        const video = card.videoData;
+        if (!writableSources.has(video.source)) {
+            showMessage('⚠️ Only Google Drive videos can be changed here', 'warning');
+            return;
+        }
+        
+        if (selectedIds.has(video.id)) {
+            selectedIds.delete(video.id);
         } else {
-            filteredVideos = allVideos.filter(video => 
-                video.title.toLowerCase().includes(searchTerm)
-            );
+            selectedIds.add(video.id);
         }
+        card.classList.toggle('selected', selectedIds.has(video.id));
+        updateSelection();
+    }
+    
+    function updateSelection() {
+        const count = selectedIds.size;
+        
+        if (selectBtn) {
+            selectBtn.style.display = canSelect() && !isTrashView ? 'inline-flex' : 'none';
+            selectBtn.classList.toggle('active', isSelecting);
+        }
+        if (videosContainer) videosContainer.classList.toggle('selecting', isSelectingCards());
+        if (!bulkActions) return;
+        
+        bulkActions.style.display = isSelectingCards() ? 'flex' : 'none';
+        bulkCount.textContent = `${count} selected`;
+        [bulkRenameBtn, bulkMoveBtn, bulkTrashBtn, bulkCancelBtn].forEach(button => {
+            button.style.display = isTrashView ? 'none' : '';
+        });
+        bulkRestoreBtn.style.display = isTrashView ? '' : 'none';
+        bulkRenameBtn.disabled = count !== 1;
+        bulkMoveBtn.disabled = bulkTrashBtn.disabled = bulkRestoreBtn.disabled = count === 0;
+    }
+    
+    function getSelectedVideos() {
+        return allVideos.filter(video => selectedIds.has(video.id));
+    }
+    
+    function replaceVideos(videos) {
+        const updated = new Map(videos.map(video => [video.id, video]));
+        allVideos = allVideos.map(video => updated.get(video.id) || video);
+        filterVideos();
+    }
+    
+    function removeVideos(videoIds) {
+        const removed = new Set(videoIds);
+        allVideos = allVideos.filter(video => !removed.has(video.id));
+        videoIds.forEach(videoId => selectedIds.delete(videoId));
+        updateSelection();
+        
+        if (allVideos.length === 0 && allFolders.length === 0) {
+            showEmptyState(isTrashView ? 'The trash is empty.' : 'No videos here any more.');
+            return;
+        }
+        filterVideos();
+    }
+    
+    async function renameSelected() {
+        const [video] = getSelectedVideos();
+        if (!video) return;
+        
+        const name = prompt('New file name:', video.title);
+        if (!name || !name.trim() || name.trim() === video.title) return;
+        
+        try {
+            const data = await libraryRequest(`/api/video/${encodeURIComponent(video.id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ name: name.trim() })
+            });
+            replaceVideos([data.video]);
+            showMessage(`✅ Renamed to "${data.video.title}"`, 'success');
+        } catch (error) {
+            showMessage(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    function showMoveModal() {
+        const videos = getSelectedVideos();
+        const sources = new Set(videos.map(video => video.source));
+        if (!videos.length) return;
+        if (sources.size !== 1) {
+            showMessage('⚠️ Folders belong to one source; select videos from a single source to move them', 'warning');
+            return;
+        }
+        
+        movePicker.source = [...sources][0];
+        moveTitle.textContent = `Move ${videos.length} video${videos.length !== 1 ? 's' : ''}`;
+        moveModal.style.display = 'flex';
+        
+        // Start in the folder being browsed when it is in the same source
+        const browsedSource = (sourceFilter && sourceFilter.value) || 'drive';
+        openPickerFolder(movePicker, currentFolderId && browsedSource === movePicker.source ? currentFolderId : 'root');
+    }
+    
+    function hideMoveModal() {
+        if (moveModal) moveModal.style.display = 'none';
+    }
+    
+    // move / trash / restore the selected videos, BULK_LIMIT per request
+    async function runBulkAction(action) {
+        const ids = [...selectedIds];
+        if (!ids.length) return;
+        if (action === 'trash' && !confirm(`Move ${ids.length} video${ids.length !== 1 ? 's' : ''} to the trash?`)) return;
+        
+        const results = [];
+        try {
+            for (let start = 0; start < ids.length; start += BULK_LIMIT) {
+                const data = await libraryRequest('/api/videos/bulk', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        action: action,
+                        ids: ids.slice(start, start + BULK_LIMIT),
+                        folderId: action === 'move' ? movePicker.folderId : undefined
+                    })
+                });
+                results.push(...data.results);
+            }
+        } catch (error) {
+            showMessage(`❌ ${error.message}`, 'error');
+        }
+        if (!results.length) return;
+        
+        hideMoveModal();
+        const done = results.filter(result => result.success);
+        const failed = results.filter(result => !result.success);
+        
+        // Trashed and restored videos leave the list on screen, and moved ones leave the folder
+        const target = movePicker.folderPath[movePicker.folderPath.length - 1];
+        const current = folderPath[folderPath.length - 1];
+        const stays = action === 'move' && (!currentFolderId || (current && target && current.id === target.id));
+        if (stays) {
+            replaceVideos(done.map(result => result.video));
+        } else {
+            removeVideos(done.map(result => result.id));
+        }
+        
+        const verb = { move: 'Moved', trash: 'Trashed', restore: 'Restored' }[action];
+        if (failed.length) {
+            showMessage(`⚠️ ${verb} ${done.length}, ${failed.length} failed: ${failed[0].error}`, 'warning');
+        } else {
+            showMessage(`✅ ${verb} ${done.length} video${done.length !== 1 ? 's' : ''}`, 'success');
+        }
+    }
+    
+    // ==================== WATCH PROGRESS ====================
+    async function loadProgress() {
+        try {
+            const response = await fetch('/api/progress');
+            const data = await response.json();
+            
+            if (!data.success) return;
+            
+            progressById = {};
+            data.progress.forEach(entry => {
+                progressById[entry.videoId] = entry;
+            });
+            
+            renderContinueWatching(data.progress.filter(entry => !entry.completed));
+            
+            // The grid may have rendered before progress arrived
+            if (videosContainer) {
+                videosContainer.querySelectorAll('.video-card').forEach(card => {
+                    addProgressBar(card, progressById[card.dataset.id]);
+                });
+            }
+        } catch (error) {
+            console.error('Error loading watch progress:', error);
+        }
+    }
+    
+    function renderContinueWatching(entries) {
+        if (!continueSection || !continueContainer) return;
+        
+        continueContainer.innerHTML = '';
+        continueSection.style.display = entries.length > 0 ? 'block' : 'none';
+        
+        entries.slice(0, CONTINUE_WATCHING_LIMIT).forEach(entry => {
+            const remaining = entry.duration ? Math.max(0, entry.duration - entry.position) : null;
+            const card = createVideoCard({
+                id: entry.videoId,
+                title: entry.title || 'Untitled video',
+                type: entry.type,
+                thumbnailUrl: `/api/thumbnail/${encodeURIComponent(entry.videoId)}`,
+                created: remaining !== null ? `${formatTime(remaining)} left` : `Stopped at ${formatTime(entry.position)}`,
+                size: new Date(entry.updatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+            });
+            continueContainer.appendChild(card);
+        });
+    }
+    
+    function addProgressBar(card, entry) {
+        if (!entry || !entry.duration || card.querySelector('.card-progress')) return;
+        
+        const percent = Math.min(100, (entry.position / entry.duration) * 100);
+        const bar = document.createElement('div');
+        bar.className = 'card-progress';
+        bar.innerHTML = `<div class="card-progress-fill" style="width: ${percent.toFixed(1)}%"></div>`;
+        
+        card.querySelector('.video-thumbnail').appendChild(bar);
+    }
+    
+    // ==================== HOVER PREVIEW ====================
+    // Scrub through a muted copy of the stream with the mouse, for formats the browser can play
+    function canPreview(video) {
+        const probe = document.createElement('video');
+        return !!(video.type && probe.canPlayType(video.type));
+    }
+    
+    function setupHoverPreview(card, video) {
+        if (!canPreview(video)) return;
+        
+        const thumbnail = card.querySelector('.video-thumbnail');
+        const scrubBar = card.querySelector('.scrub-bar');
+        let preview = null;
+        let hoverTimer = null;
+        let ratio = 0;
+        
+        function seekPreview() {
+            if (!preview) return;
+            const duration = preview.duration || (video.durationMs ? video.durationMs / 1000 : 0);
+            if (duration && isFinite(duration)) {
+                preview.currentTime = duration * ratio;
+            }
+        }
+        
+        thumbnail.addEventListener('mouseenter', () => {
+            hoverTimer = setTimeout(() => {
+                preview = document.createElement('video');
+                preview.className = 'thumbnail-preview';
+                preview.muted = true;
+                preview.playsInline = true;
+                preview.preload = 'metadata';
+                // Logged as a preview rather than a viewing in the audit log
+                preview.src = `/api/stream/${encodeURIComponent(video.id)}?preview=1`;
+                preview.addEventListener('loadedmetadata', seekPreview);
+                preview.addEventListener('seeked', () => thumbnail.classList.add('previewing'));
+                thumbnail.appendChild(preview);
+            }, PREVIEW_DELAY);
+        });
+        
+        thumbnail.addEventListener('mousemove', (e) => {
+            const rect = thumbnail.getBoundingClientRect();
+            ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+            scrubBar.style.width = `${ratio * 100}%`;
+            seekPreview();
+        });
+        
+        thumbnail.addEventListener('mouseleave', () => {
+            clearTimeout(hoverTimer);
+            thumbnail.classList.remove('previewing');
+            scrubBar.style.width = '0';
+            
+            if (preview) {
+                // Drop the source so the browser stops downloading
+                preview.removeAttribute('src');
+                preview.load();
+                preview.remove();
+                preview = null;
+            }
+        });
+    }
+    
+    function hasActiveFilters() {
+        return !!((searchInput && searchInput.value.trim()) || (typeFilter && typeFilter.value) || (sourceFilter && sourceFilter.value) ||
+            (tagFilter && tagFilter.value) || (ratingFilter && ratingFilter.value) || isFavouritesOnly() ||
+            (durationFilter && durationFilter.value) || (resolutionFilter && resolutionFilter.value));
+    }
+    
+    // Length filter options are "min-max" in seconds, either end may be empty
+    function getDurationRange() {
+        const [min, max] = (durationFilter ? durationFilter.value : '').split('-');
+        return { minDuration: Number(min) || null, maxDuration: Number(max) || null };
+    }
+    
+    function isFavouritesOnly() {
+        return !!(favouritesFilter && favouritesFilter.classList.contains('active'));
+    }
+    
+    // Folder listings carry the same details as the library; playlist items only have a title
+    function matchesFolderFilters(video) {
+        if (!currentFolderId) return true;
+        
+        const tag = tagFilter ? tagFilter.value : '';
+        const minRating = ratingFilter ? Number(ratingFilter.value) : 0;
+        const resolution = resolutionFilter ? resolutionFilter.value : '';
+        const { minDuration, maxDuration } = getDurationRange();
+        
+        return (!tag || (video.tags || []).includes(tag)) &&
+            (!minRating || (video.rating || 0) >= minRating) &&
+            (!isFavouritesOnly() || video.favourite) &&
+            (!resolution || video.resolution === resolution) &&
+            (!minDuration || video.durationSeconds >= minDuration) &&
+            (!maxDuration || (video.durationSeconds > 0 && video.durationSeconds <= maxDuration));
+    }
+    
+    function applyFilters() {
+        // The flat library is searched and sorted by the server across every page
+        if (!currentFolderId && !currentPlaylistId && !isTrashView) {
+            loadVideos();
+            return;
+        }
+        
+        filterVideos();
+    }
+    
+    function filterVideos() {
+        // Server results are already filtered; only folder, playlist and trash listings are filtered here
+        if (!currentFolderId && !currentPlaylistId && !isTrashView) {
+            filteredVideos = [...allVideos];
+            updateVideoCount();
+            displayVideos(filteredVideos);
+            return;
+        }
+        
+        const searchTerm = searchInput.value.toLowerCase().trim();
+        const mimeType = typeFilter ? typeFilter.value : '';
+        
+        filteredVideos = allVideos.filter(video => 
+            video.title.toLowerCase().includes(searchTerm) &&
+            (!mimeType || video.type === mimeType) &&
+            matchesFolderFilters(video)
+        );
         
         updateVideoCount();
         sortVideos();
@@ -299,18 +1748,30 @@ document.addEventListener('DOMContentLoaded', function() {
     function sortVideos() {
         const sortBy = sortSelect.value;
         
+        // Playlists play in their own order
+        if (currentPlaylistId) {
+            displayVideos(filteredVideos);
+            return;
+        }
+        
         filteredVideos.sort((a, b) => {
             switch (sortBy) {
                 case 'newest':
-                    return new Date(b.modified || b.created) - new Date(a.modified || a.created);
+                    return Date.parse(b.createdTime) - Date.parse(a.createdTime);
                 case 'oldest':
-                    return new Date(a.modified || a.created) - new Date(b.modified || b.created);
+                    return Date.parse(a.createdTime) - Date.parse(b.createdTime);
+                case 'modified':
+                    return Date.parse(b.modifiedTime) - Date.parse(a.modifiedTime);
                 case 'name':
-                    return a.title.localeCompare(b.title);
+                    return a.title.localeCompare(b.title, undefined, { numeric: true });
                 case 'size':
-                    const sizeA = extractSizeInMB(a.size);
-                    const sizeB = extractSizeInMB(b.size);
-                    return sizeB - sizeA;
+                    return (b.sizeBytes || 0) - (a.sizeBytes || 0);
+                case 'rating':
+                    return (b.rating || 0) - (a.rating || 0);
+                case 'longest':
+                    return (b.durationSeconds || 0) - (a.durationSeconds || 0);
+                case 'shortest':
+                    return (a.durationSeconds || Infinity) - (b.durationSeconds || Infinity) || 0;
                 default:
                     return 0;
             }
@@ -322,13 +1783,19 @@ document.addEventListener('DOMContentLoaded', function() {
     function updateVideoCount() {
         if (!videoCountElement) return;
         
+        if (currentPlaylistId === 'all') {
+            videoCountElement.textContent = `${allPlaylists.length} playlist${allPlaylists.length !== 1 ? 's' : ''}`;
+            return;
+        }
+        
         const total = allVideos.length;
         const showing = filteredVideos.length;
+        const more = nextPageToken ? '+' : '';
         
         if (total === showing) {
-            videoCountElement.textContent = `${total} video${total !== 1 ? 's' : ''}`;
+            videoCountElement.textContent = `${total}${more} video${total !== 1 ? 's' : ''}`;
         } else {
-            videoCountElement.textContent = `${showing} of ${total} video${total !== 1 ? 's' : ''}`;
+            videoCountElement.textContent = `${showing} of ${total}${more} video${total !== 1 ? 's' : ''}`;
         }
     }
     
@@ -398,6 +1865,26 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    // Seconds -> "1:02:03" or "12:34"
+    function formatTime(seconds) {
+        const total = Math.floor(seconds || 0);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+    
+    // Same format as the server's sizes ("1.5 GB")
+    function formatFileSize(bytes) {
+        if (!bytes) return '0 Bytes';
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(1024));
+        return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+    
     function truncateText(text, maxLength) {
         return text.length <= maxLength ? text : text.substring(0, maxLength - 3) + '...';
     }
@@ -408,22 +1895,6 @@ document.addEventListener('DOMContentLoaded', function() {
         return div.innerHTML;
     }
     
-    function extractSizeInMB(sizeString) {
-        if (!sizeString || sizeString === 'Unknown') return 0;
-        const match = sizeString.match(/([\d.]+)\s*(\w+)/i);
-        if (!match) return 0;
-        
-        const value = parseFloat(match[1]);
-        const unit = match[2].toLowerCase();
-        
-        switch (unit) {
-            case 'gb': return value * 1024;
-            case 'mb': return value;
-            case 'kb': return value / 1024;
-            default: return value;
-        }
-    }
-    
     function showMessage(message, type = 'info') {
         if (!toast) return;
         
@@ -1,28 +1,33 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { spawn } = require('child_process');
+const { Readable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { once } = require('events');
 const fs = require('fs').promises;
 const { google } = require('googleapis');
-const basicAuth = require('express-basic-auth');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ==================== CONFIGURATION ====================
-// Security: Basic Authentication
-const users = {};
-if (process.env.ADMIN_USER && process.env.ADMIN_PASSWORD) {
-    users[process.env.ADMIN_USER] = process.env.ADMIN_PASSWORD;
-} else {
-    users['admin'] = 'sparrow123';
-}
+// Render (and most hosts) terminate TLS at a proxy; trust it so secure cookies work
+app.set('trust proxy', 1);
 
-app.use(basicAuth({
-    users: users,
-    challenge: true,
-    realm: 'Sparrow Stream',
-    unauthorizedResponse: 'Access Denied'
-}));
+// Only the front-end files are served statically. token.json, users.json and the
+// other data files live in the same directory and must never be downloadable.
+const STATIC_FILES = new Set([
+    'index.html',
+    'player.html',
+    'login.html',
+    'admin.html',
+    'script.js',
+    'style.css'
+]);
+const serveStatic = express.static(__dirname, { index: false });
 
 // ==================== CORS HEADERS (CRITICAL FOR VIDEO PLAYBACK) ====================
 app.use((req, res, next) => {
@@ -40,10 +45,19 @@ app.use((req, res, next) => {
 });
 
 // Middleware
-app.use(express.static(__dirname));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Security: session login (see USER ACCOUNTS below)
+app.use(authenticate);
+
+app.use((req, res, next) => {
+    if (STATIC_FILES.has(req.path.slice(1))) {
+        return serveStatic(req, res, next);
+    }
+    next();
+});
+
 // ==================== GOOGLE DRIVE SETUP ====================
 function getGoogleCredentials() {
     if (process.env.GOOGLE_CREDENTIALS) {
@@ -64,7 +78,17 @@ function getGoogleCredentials() {
     }
 }
 
-const SCOPES = ['https://www.googleapis.com/auth/drive.readonly'];
+// MIRROR_METADATA_TO_DRIVE=true also writes tags and ratings into Drive appProperties.
+// That needs permission to edit file metadata, so admins reconnect after turning it on.
+const MIRROR_METADATA_TO_DRIVE = process.env.MIRROR_METADATA_TO_DRIVE === 'true';
+
+// DRIVE_WRITE_ACCESS=true lets admins upload videos from the library (see UPLOADS below).
+// It asks for full Drive access, so admins reconnect after turning it on as well.
+const DRIVE_WRITE_ACCESS = process.env.DRIVE_WRITE_ACCESS === 'true';
+
+const SCOPES = ['https://www.googleapis.com/auth/drive.readonly']
+    .concat(MIRROR_METADATA_TO_DRIVE ? ['https://www.googleapis.com/auth/drive.metadata'] : [])
+    .concat(DRIVE_WRITE_ACCESS ? ['https://www.googleapis.com/auth/drive'] : []);
 
 function getOAuth2Client(redirectUri = null) {
     const credentials = getGoogleCredentials();
@@ -82,13 +106,54 @@ function getOAuth2Client(redirectUri = null) {
     return new google.auth.OAuth2(client_id, client_secret, redirectUri);
 }
 
+// The account connected first keeps its token in token.json; accounts added
+// later store theirs in drive-accounts.json (see DRIVE ACCOUNTS below)
+const DEFAULT_DRIVE_ACCOUNT = 'default';
+
+async function readDriveToken(accountId) {
+    if (accountId === DEFAULT_DRIVE_ACCOUNT) {
+        return JSON.parse(await fs.readFile('./token.json', 'utf8'));
+    }
+    
+    const account = (await driveAccountsStore.read()).accounts[accountId];
+    if (!account || !account.token) {
+        throw new Error(`No token for Drive account ${accountId}`);
+    }
+    return account.token;
+}
+
+async function writeDriveToken(accountId, token) {
+    if (accountId === DEFAULT_DRIVE_ACCOUNT) {
+        return fs.writeFile('./token.json', JSON.stringify(token));
+    }
+    
+    await driveAccountsStore.update(data => {
+        if (data.accounts[accountId]) data.accounts[accountId].token = token;
+    });
+}
+
+async function deleteDriveToken(accountId) {
+    if (accountId === DEFAULT_DRIVE_ACCOUNT) {
+        return fs.unlink('./token.json').catch(() => {});
+    }
+    await writeDriveToken(accountId, null).catch(() => {});
+}
+
+// Only getAuthenticatedClient tags its errors with an accountId; a "token" error from
+// the local or S3 provider says nothing about the Drive connection
+function isDriveAuthError(error) {
+    return error.accountId !== undefined && (
+        error.message.includes('Not authenticated') ||
+        error.message.includes('invalid_grant') ||
+        error.message.includes('token'));
+}
+
 // Token management with auto-refresh
-async function getAuthenticatedClient() {
+async function getAuthenticatedClient(accountId = DEFAULT_DRIVE_ACCOUNT) {
     const auth = getOAuth2Client();
     
     try {
-        const tokenContent = await fs.readFile('./token.json', 'utf8');
-        const token = JSON.parse(tokenContent);
+        const token = await readDriveToken(accountId);
         auth.setCredentials(token);
         
         // Check if token needs refresh (expires in less than 5 minutes)
@@ -97,12 +162,12 @@ async function getAuthenticatedClient() {
             try {
                 const refreshed = await auth.refreshAccessToken();
                 auth.setCredentials(refreshed.credentials);
-                await fs.writeFile('./token.json', JSON.stringify(refreshed.credentials));
+                await writeDriveToken(accountId, refreshed.credentials);
                 console.log('Token refreshed successfully');
             } catch (refreshError) {
                 console.log('Token refresh failed:', refreshError.message);
                 // Token might be invalid, delete it
-                await fs.unlink('./token.json').catch(() => {});
+                await deleteDriveToken(accountId);
                 throw new Error('Token refresh failed');
             }
         }
@@ -110,7 +175,9 @@ async function getAuthenticatedClient() {
         return auth;
     } catch (err) {
         console.log('No valid token found:', err.message);
-        throw new Error('Not authenticated');
+        const error = new Error('Not authenticated');
+        error.accountId = accountId;
+        throw error;
     }
 }
 
@@ -123,456 +190,6214 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Seconds -> "1:02:03", or "12:34" under an hour
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
+
+// SD, HD or 4K by frame size; the short side decides, so portrait videos class the same.
+// Widescreen crops (3840x1600) still count as 4K by their width.
+const RESOLUTION_CLASSES = ['SD', 'HD', '4K'];
+
+function getResolutionClass(width, height) {
+    if (!width || !height) return null;
+    
+    const longSide = Math.max(width, height);
+    const shortSide = Math.min(width, height);
+    if (longSide >= 3840 || shortSide >= 2160) return '4K';
+    if (longSide >= 1280 || shortSide >= 720) return 'HD';
+    return 'SD';
+}
+
+// Rows of values -> CSV. Cells that spreadsheets would run as formulas get a leading quote.
+function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+// Map a Drive file resource to the video shape used by the library grid.
+// Formatted fields are for display; sizeBytes, durationMs and the ISO times are for sorting.
+function mapVideoFile(file) {
+    const media = file.videoMediaMetadata || {};
+    const durationMs = media.durationMillis ? Number(media.durationMillis) : null;
+    const durationSeconds = durationMs ? Math.round(durationMs / 1000) : null;
+    const width = media.width ? Number(media.width) : null;
+    const height = media.height ? Number(media.height) : null;
+    
+    return {
+        id: file.id,
+        source: file.source || 'drive',
+        title: file.name,
+        size: file.size ? formatFileSize(file.size) : 'Unknown',
+        sizeBytes: file.size ? Number(file.size) : null,
+        type: file.mimeType,
+        duration: durationSeconds ? formatDuration(durationSeconds) : 'Unknown',
+        durationMs: durationMs,
+        durationSeconds: durationSeconds,
+        width: width,
+        height: height,
+        resolution: getResolutionClass(width, height),
+        created: new Date(file.createdTime).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        }),
+        createdTime: file.createdTime,
+        modified: file.modifiedTime,
+        modifiedTime: file.modifiedTime,
+        extension: file.fileExtension || file.name.split('.').pop() || 'Unknown',
+        link: file.webViewLink,
+        hasThumbnail: !!(file.hasThumbnail || file.thumbnailLink),
+        thumbnailUrl: (file.hasThumbnail || file.thumbnailLink) ? `/api/thumbnail/${file.id}` : null,
+        formatSupported: isSupportedFormat(file.mimeType)
+    };
+}
+
+// Containers browsers play natively; everything else goes through /api/transcode
 function isSupportedFormat(mimeType) {
     const supported = [
         'video/mp4',
         'video/webm', 
-        'video/ogg',
-        'video/x-matroska',
-        'video/quicktime',
-        'video/x-msvideo',
-        'video/x-flv'
+        'video/ogg'
     ];
     return supported.includes(mimeType);
 }
 
+// On-disk cache for proxied Drive thumbnails (thumbnailLink URLs expire, the images rarely change)
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+const THUMBNAIL_DIR = path.join(CACHE_DIR, 'thumbnails');
+const THUMBNAIL_MAX_AGE = 24 * 60 * 60 * 1000;
+const THUMBNAIL_SIZE = 640;
+const thumbnailRequests = new Map();
+
 // Cache for video data (5 minutes)
 const videoCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000;
 
-// ==================== ROUTES ====================
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+// Drive fields and query fragments shared by the library endpoints
+const VIDEO_FILE_FIELDS = 'id, name, size, mimeType, createdTime, modifiedTime, webViewLink, fileExtension, videoMediaMetadata, hasThumbnail, thumbnailLink';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const MAX_FOLDER_DEPTH = 20;
 
-app.get('/player', (req, res) => {
-    res.sendFile(path.join(__dirname, 'player.html'));
-});
+// Drive IDs are URL-safe base64; anything else could break out of a query string
+function isValidDriveId(id) {
+    return /^[A-Za-z0-9_-]+$/.test(id);
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        timestamp: new Date().toISOString(),
-        service: 'Sparrow Stream'
+// Library sort keys mapped to Drive orderBy (Drive cannot order by size, quotaBytesUsed is the closest)
+const SORT_ORDERS = {
+    newest: 'createdTime desc',
+    oldest: 'createdTime',
+    name: 'name_natural',
+    modified: 'modifiedTime desc',
+    size: 'quotaBytesUsed desc',
+    // Drive cannot order by these. Until the library index is built, live Drive
+    // listings come newest first and say so with sortUnavailable.
+    rating: null,
+    longest: null,
+    shortest: null
+};
+
+// Upper bound on Drive pages read for one response when size/duration filters drop files
+const MAX_FILTER_PAGES = 10;
+
+// Library paging (Drive allows at most 1000 files per page)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+function parsePageSize(limit) {
+    const size = parseInt(limit, 10);
+    if (!size || size < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(size, MAX_PAGE_SIZE);
+}
+
+// Quote a user-supplied value for a Drive query string
+function escapeDriveQuery(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+// Parse the /api/videos search, filter and sort parameters.
+// Sizes are in bytes, min/maxDuration are in seconds, dates are anything Date.parse accepts.
+// tag, favourites=true and minRating match our own video metadata.
+// Throws on malformed values so the route can answer 400.
+function parseLibraryFilters(query) {
+    const filters = {
+        search: (query.q || '').trim(),
+        sort: query.sort || 'newest',
+        mimeType: query.mimeType || null,
+        minSize: null,
+        maxSize: null,
+        modifiedAfter: null,
+        modifiedBefore: null,
+        minDuration: null,
+        maxDuration: null,
+        resolution: query.resolution || null,
+        tag: (query.tag || '').trim().toLowerCase() || null,
+        favourites: query.favourites === 'true',
+        minRating: null
+    };
+    
+    if (!Object.hasOwn(SORT_ORDERS, filters.sort)) {
+        throw new Error(`Unknown sort "${filters.sort}" (expected ${Object.keys(SORT_ORDERS).join(', ')})`);
+    }
+    
+    if (filters.mimeType && !/^video\/[\w.+-]+$/.test(filters.mimeType)) {
+        throw new Error(`Invalid mimeType "${filters.mimeType}"`);
+    }
+    
+    if (filters.resolution && !RESOLUTION_CLASSES.includes(filters.resolution)) {
+        throw new Error(`Unknown resolution "${filters.resolution}" (expected ${RESOLUTION_CLASSES.join(', ')})`);
+    }
+    
+    ['minSize', 'maxSize', 'minDuration', 'maxDuration', 'minRating'].forEach(key => {
+        if (query[key] === undefined || query[key] === '') return;
+        const value = Number(query[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid ${key} "${query[key]}"`);
+        }
+        filters[key] = value;
     });
-});
+    
+    ['modifiedAfter', 'modifiedBefore'].forEach(key => {
+        if (!query[key]) return;
+        const time = Date.parse(query[key]);
+        if (Number.isNaN(time)) {
+            throw new Error(`Invalid ${key} "${query[key]}"`);
+        }
+        filters[key] = new Date(time).toISOString();
+    });
+    
+    return filters;
+}
 
-// Debug endpoint
-app.get('/api/debug/:id', async (req, res) => {
-    const videoId = req.params.id;
-    console.log(`Debug video: ${videoId}`);
+// Name, type and date filters go into the Drive query itself
+function buildVideoQuery(filters) {
+    const clauses = [
+        filters.mimeType 
+            ? `mimeType = '${escapeDriveQuery(filters.mimeType)}'`
+            : "mimeType contains 'video/'",
+        'trashed = false'
+    ];
     
-    try {
-        const auth = await getAuthenticatedClient();
-        const drive = google.drive({ version: 'v3', auth });
-        
-        const file = await drive.files.get({
-            fileId: videoId,
-            fields: 'id, name, mimeType, size'
-        });
-        
-        const accessToken = auth.credentials.access_token;
-        const directUrl = `https://drive.google.com/uc?export=download&id=${videoId}`;
-        const viewUrl = `https://drive.google.com/file/d/${videoId}/view`;
-        const streamUrl = `https://www.googleapis.com/drive/v3/files/${videoId}?alt=media&access_token=${accessToken}`;
-        
-        res.json({
-            success: true,
-            video: {
-                id: file.data.id,
-                name: file.data.name,
-                mimeType: file.data.mimeType,
-                size: file.data.size,
-                formatSupported: isSupportedFormat(file.data.mimeType),
-                testUrls: {
-                    directDownload: directUrl,
-                    googleDriveView: viewUrl,
-                    apiStream: streamUrl,
-                    proxyStream: `${process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`}/api/stream/${videoId}`
-                },
-                tokenInfo: {
-                    hasToken: !!accessToken,
-                    tokenLength: accessToken ? accessToken.length : 0
+    if (filters.search) clauses.push(`name contains '${escapeDriveQuery(filters.search)}'`);
+    if (filters.modifiedAfter) clauses.push(`modifiedTime > '${filters.modifiedAfter}'`);
+    if (filters.modifiedBefore) clauses.push(`modifiedTime < '${filters.modifiedBefore}'`);
+    
+    return clauses.join(' and ');
+}
+
+// Drive cannot query by size, duration or our own metadata, so those are checked on each returned file
+function hasPostFilters(filters) {
+    return filters.minSize !== null || filters.maxSize !== null || filters.minDuration !== null ||
+        filters.maxDuration !== null || !!filters.resolution ||
+        !!filters.tag || filters.favourites || filters.minRating !== null;
+}
+
+function matchesPostFilters(video, filters) {
+    if (filters.minSize !== null && !(video.sizeBytes >= filters.minSize)) return false;
+    if (filters.maxSize !== null && !(video.sizeBytes <= filters.maxSize)) return false;
+    if (filters.minDuration !== null && !(video.durationMs >= filters.minDuration * 1000)) return false;
+    if (filters.maxDuration !== null && !(video.durationMs > 0 && video.durationMs <= filters.maxDuration * 1000)) return false;
+    if (filters.resolution && video.resolution !== filters.resolution) return false;
+    if (filters.tag && !(video.tags || []).includes(filters.tag)) return false;
+    if (filters.favourites && !video.favourite) return false;
+    if (filters.minRating !== null && !(video.rating >= filters.minRating)) return false;
+    return true;
+}
+
+// ==================== DATA STORES ====================
+// Small JSON files kept next to token.json. Updates are queued so concurrent
+// requests never interleave a read-modify-write, and each write is atomic.
+function createJsonStore(filePath, defaultValue) {
+    let data = null;
+    let queue = Promise.resolve();
+    
+    async function read() {
+        if (data === null) {
+            try {
+                data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    console.error(`Could not read ${filePath}, starting empty:`, err.message);
                 }
+                data = JSON.parse(JSON.stringify(defaultValue));
             }
+        }
+        return data;
+    }
+    
+    function update(mutate) {
+        const result = queue.then(async () => {
+            const current = await read();
+            const value = await mutate(current);
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(current, null, 2));
+            await fs.rename(tmpPath, filePath);
+            return value;
         });
-        
-    } catch (error) {
-        res.json({
-            success: false,
-            error: error.message,
-            stack: error.stack
-        });
+        queue = result.catch(() => {});
+        return result;
     }
-});
+    
+    return { read, update };
+}
 
-// ==================== API ENDPOINTS ====================
+// HMAC key for signed URLs: SIGNING_SECRET, or a random key kept in secret.key
+let signingKeyPromise = null;
 
-// API: Get list of videos from Google Drive
-app.get('/api/videos', async (req, res) => {
-    console.log('GET /api/videos');
+function getSigningKey() {
+    if (!signingKeyPromise) {
+        signingKeyPromise = (async () => {
+            if (process.env.SIGNING_SECRET) {
+                return process.env.SIGNING_SECRET;
+            }
+            
+            try {
+                return (await fs.readFile('./secret.key', 'utf8')).trim();
+            } catch (err) {
+                const key = crypto.randomBytes(32).toString('hex');
+                await fs.writeFile('./secret.key', key, { mode: 0o600 });
+                console.log('Generated new URL signing key in secret.key');
+                return key;
+            }
+        })();
+    }
+    return signingKeyPromise;
+}
+
+async function createSignature(payload) {
+    const key = await getSigningKey();
+    return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+async function verifySignature(payload, signature) {
+    if (typeof signature !== 'string') return false;
+    
+    const expected = Buffer.from(await createSignature(payload));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Short-lived stream links: /api/stream/:id?exp=<unix seconds>&sig=<hmac>. Claims
+// (share=<token>&play=<n> for share links, internal=1 for the server's own ffmpeg
+// reads) go in the URL and are signed with it.
+const STREAM_URL_TTL = 6 * 60 * 60;
+const STREAM_URL_CLAIMS = ['share', 'play', 'internal'];
+
+function getStreamPayload(videoId, exp, claims) {
+    const signed = STREAM_URL_CLAIMS.filter(key => claims[key] !== undefined).map(key => `${key}=${claims[key]}`);
+    return [`stream:${videoId}:${exp}`, ...signed].join(':');
+}
+
+async function signStreamUrl(videoId, ttl = STREAM_URL_TTL, claims = {}) {
+    const exp = Math.floor(Date.now() / 1000) + ttl;
+    const sig = await createSignature(getStreamPayload(videoId, exp, claims));
+    const query = STREAM_URL_CLAIMS.filter(key => claims[key] !== undefined)
+        .map(key => `&${key}=${encodeURIComponent(claims[key])}`)
+        .join('');
+    return `/api/stream/${videoId}?exp=${exp}${query}&sig=${sig}`;
+}
+
+// The same signature also opens the transcoded version of the file.
+// Links from a share play stop working once that share does (see isSharePlayAllowed).
+async function hasValidStreamSignature(req) {
+    const match = req.path.match(/^\/api\/(?:stream|transcode)\/([^/]+)$/);
+    const exp = parseInt(req.query.exp, 10);
+    const claims = {};
+    STREAM_URL_CLAIMS.forEach(key => {
+        if (typeof req.query[key] === 'string') claims[key] = req.query[key];
+    });
+    
+    if (!match || !exp || exp < Date.now() / 1000) return false;
+    if (!(await verifySignature(getStreamPayload(match[1], exp, claims), req.query.sig))) return false;
+    return !claims.share || isSharePlayAllowed(claims.share, Number(claims.play));
+}
+
+// ffmpeg/ffprobe reading a file for the server itself (see getLocalStreamUrl)
+async function isInternalStreamRequest(req) {
+    return req.query.internal === '1' && !req.user && await hasValidStreamSignature(req);
+}
+
+// Watch progress per user: { [username]: { [videoId]: { position, duration, ... } } }
+const progressStore = createJsonStore('./progress.json', {});
+
+// Treat a video as watched once this much of it has played
+const PROGRESS_COMPLETE_RATIO = 0.95;
+
+// The title and type a player reports are shown in every "Continue Watching" row; longer ones are cut
+const MAX_PROGRESS_TEXT_LENGTH = 255;
+
+// ==================== STREAM BLOCK CACHE ====================
+// Drive media is cached on disk in fixed-size blocks: CACHE_DIR/blocks/<id>_<modified>/<n>.
+// A changed file gets a new key, and old blocks age out through LRU eviction.
+const BLOCK_DIR = path.join(CACHE_DIR, 'blocks');
+const BLOCK_SIZE = 2 * 1024 * 1024;
+const BLOCK_CACHE_MAX_BYTES = (process.env.STREAM_CACHE_MAX_MB !== undefined
+    ? Number(process.env.STREAM_CACHE_MAX_MB)
+    : 2048) * 1024 * 1024;
+// Misses are fetched from Drive in runs of up to this many blocks per request
+const MAX_FETCH_BLOCKS = 16;
+const FILE_INFO_TTL = 60 * 1000;
+
+const blockIndex = new Map(); // block path -> size, oldest access first
+const blockWrites = new Map(); // block path -> write in progress
+const fileInfoCache = new Map();
+const blockCacheStats = {
+    hits: 0,
+    misses: 0,
+    bytesFromCache: 0,
+    bytesFromDrive: 0,
+    evictions: 0,
+    since: new Date().toISOString()
+};
+let blockCacheBytes = 0;
+let blockIndexReady = null;
+
+function isBlockCacheEnabled() {
+    return BLOCK_CACHE_MAX_BYTES > 0;
+}
+
+function getBlockPath(key, block) {
+    return path.join(BLOCK_DIR, key, `${block}.bin`);
+}
+
+// Rebuild the index from disk once, oldest files first
+function loadBlockIndex() {
+    if (!blockIndexReady) {
+        blockIndexReady = (async () => {
+            const entries = [];
+            const keys = await fs.readdir(BLOCK_DIR).catch(() => []);
+            
+            for (const key of keys) {
+                const files = await fs.readdir(path.join(BLOCK_DIR, key)).catch(() => []);
+                for (const name of files.filter(name => name.endsWith('.bin'))) {
+                    const filePath = path.join(BLOCK_DIR, key, name);
+                    const stats = await fs.stat(filePath).catch(() => null);
+                    if (stats) entries.push({ filePath, size: stats.size, atime: stats.mtimeMs });
+                }
+            }
+            
+            entries.sort((a, b) => a.atime - b.atime).forEach(entry => {
+                blockIndex.set(entry.filePath, entry.size);
+                blockCacheBytes += entry.size;
+            });
+            
+            await evictBlocks();
+        })();
+    }
+    return blockIndexReady;
+}
+
+async function readBlock(key, block) {
+    const filePath = getBlockPath(key, block);
+    if (!blockIndex.has(filePath)) return null;
     
     try {
-        const auth = await getAuthenticatedClient();
-        const drive = google.drive({ version: 'v3', auth });
-        
-        console.log('Querying Google Drive for video files...');
-        
-        const response = await drive.files.list({
-            q: "mimeType contains 'video/' and trashed = false",
-            fields: 'files(id, name, size, mimeType, createdTime, modifiedTime, webViewLink, fileExtension, videoMediaMetadata)',
-            orderBy: 'createdTime desc',
-            pageSize: 100,
-        });
+        const data = await fs.readFile(filePath);
+        // Re-insert to mark as most recently used
+        blockIndex.delete(filePath);
+        blockIndex.set(filePath, data.length);
+        return data;
+    } catch (error) {
+        forgetBlock(filePath);
+        return null;
+    }
+}
+
+// Viewers fetching the same block at once (parallel ranges, watch parties) share one write
+function writeBlock(key, block, data) {
+    const filePath = getBlockPath(key, block);
+    if (blockIndex.has(filePath)) return Promise.resolve();
+    
+    if (!blockWrites.has(filePath)) {
+        blockWrites.set(filePath, storeBlock(filePath, data).finally(() => blockWrites.delete(filePath)));
+    }
+    return blockWrites.get(filePath);
+}
+
+async function storeBlock(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.writeFile(tmpPath, data);
+        await fs.rename(tmpPath, filePath);
+    } catch (error) {
+        await fs.unlink(tmpPath).catch(() => {});
+        throw error;
+    }
+    
+    if (!blockIndex.has(filePath)) {
+        blockCacheBytes += data.length;
+    }
+    blockIndex.set(filePath, data.length);
+    await evictBlocks();
+}
+
+function forgetBlock(filePath) {
+    if (!blockIndex.has(filePath)) return;
+    blockCacheBytes -= blockIndex.get(filePath);
+    blockIndex.delete(filePath);
+}
 
-        console.log(`Found ${response.data.files.length} video files`);
+async function evictBlocks() {
+    for (const [filePath] of blockIndex) {
+        if (blockCacheBytes <= BLOCK_CACHE_MAX_BYTES) break;
         
-        const videos = response.data.files.map((file, index) => {
-            const duration = file.videoMediaMetadata?.durationMillis 
-                ? Math.round(file.videoMediaMetadata.durationMillis / 1000) + 's'
-                : 'Unknown';
-                
-            return {
-                id: file.id,
-                title: file.name,
-                size: file.size ? formatFileSize(file.size) : 'Unknown',
-                type: file.mimeType,
-                duration: duration,
-                created: new Date(file.createdTime).toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'short',
-                    day: 'numeric'
-                }),
-                modified: file.modifiedTime,
-                extension: file.fileExtension || file.name.split('.').pop() || 'Unknown',
-                link: file.webViewLink,
-                formatSupported: isSupportedFormat(file.mimeType)
-            };
-        });
+        forgetBlock(filePath);
+        blockCacheStats.evictions++;
+        await fs.unlink(filePath).catch(() => {});
+    }
+}
 
-        res.json({ 
-            success: true, 
-            videos: videos,
-            count: videos.length,
-            timestamp: new Date().toISOString()
+async function clearBlockCache() {
+    await loadBlockIndex();
+    blockIndex.clear();
+    blockCacheBytes = 0;
+    await fs.rm(BLOCK_DIR, { recursive: true, force: true });
+}
+
+// "bytes=a-b" / "bytes=a-" / "bytes=-n" -> { start, end }; null if unsatisfiable,
+// undefined for anything we leave to Drive (multiple ranges)
+function parseRangeHeader(header, size) {
+    if (!header) return { start: 0, end: size - 1, partial: false };
+    
+    const match = header.match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (!match[1] && !match[2])) return undefined;
+    
+    let start;
+    let end;
+    if (match[1]) {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    } else {
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    }
+    
+    if (start >= size || start > end) return null;
+    return { start, end, partial: true };
+}
+
+// Download URL for a Drive file; supportsAllDrives lets shared-drive files through
+function getDriveMediaUrl(file) {
+    return `https://www.googleapis.com/drive/v3/files/${file.driveFileId}?alt=media&supportsAllDrives=true`;
+}
+
+// Write with backpressure; rejects once the client is gone
+async function writeToClient(res, data, signal) {
+    if (!res.write(data)) {
+        await once(res, 'drain', { signal });
+    }
+}
+
+// Send bytes start..end of a Drive file, reading cached blocks and filling the
+// gaps from Drive in whole-block runs (which are cached on the way through)
+async function streamCachedRange(res, file, range, accessToken, signal) {
+    await loadBlockIndex();
+    
+    const size = Number(file.size);
+    const key = `${getCacheName(file.id)}_${Date.parse(file.modifiedTime) || 0}`;
+    const lastBlock = Math.floor(range.end / BLOCK_SIZE);
+    const blockLength = block => Math.min(BLOCK_SIZE, size - block * BLOCK_SIZE);
+    
+    // The part of a block (starting at byte offset) that falls inside the range
+    const sliceForClient = (data, offset) => {
+        const from = Math.max(range.start - offset, 0);
+        const to = Math.min(range.end + 1 - offset, data.length);
+        return from < to ? data.subarray(from, to) : null;
+    };
+    
+    let block = Math.floor(range.start / BLOCK_SIZE);
+    
+    while (block <= lastBlock) {
+        const cached = await readBlock(key, block);
+        
+        if (cached) {
+            const slice = sliceForClient(cached, block * BLOCK_SIZE);
+            blockCacheStats.hits++;
+            blockCacheStats.bytesFromCache += slice ? slice.length : 0;
+            if (slice) await writeToClient(res, slice, signal);
+            block++;
+            continue;
+        }
+        
+        let runEnd = block;
+        while (runEnd < lastBlock && runEnd - block + 1 < MAX_FETCH_BLOCKS && !blockIndex.has(getBlockPath(key, runEnd + 1))) {
+            runEnd++;
+        }
+        blockCacheStats.misses += runEnd - block + 1;
+        
+        const fetchStart = block * BLOCK_SIZE;
+        const fetchEnd = runEnd * BLOCK_SIZE + blockLength(runEnd) - 1;
+        const response = await fetch(getDriveMediaUrl(file), {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Range': `bytes=${fetchStart}-${fetchEnd}`
+            },
+            signal: signal
         });
         
-    } catch (error) {
-        console.error('Error fetching videos:', error.message);
+        if (!response.ok) {
+            throw new Error(`Google Drive API error: ${response.status} ${response.statusText}`);
+        }
         
-        if (error.message.includes('Not authenticated') || 
-            error.message.includes('invalid_grant') || 
-            error.message.includes('token')) {
+        // Pass bytes on as they arrive; cut complete blocks out for the cache
+        let position = fetchStart;
+        let pending = [];
+        let pendingLength = 0;
+        
+        for await (const chunk of Readable.fromWeb(response.body)) {
+            const slice = sliceForClient(chunk, position);
+            position += chunk.length;
+            blockCacheStats.bytesFromDrive += chunk.length;
+            if (slice) await writeToClient(res, slice, signal);
             
-            await fs.unlink('./token.json').catch(() => {});
-            const authUrl = generateAuthUrl();
+            pending.push(chunk);
+            pendingLength += chunk.length;
             
-            res.status(401).json({ 
-                error: 'Authentication required', 
-                needAuth: true,
-                authUrl: authUrl,
-                message: 'Please connect Google Drive'
-            });
-        } else {
-            res.status(500).json({ 
-                error: 'Failed to load videos', 
-                message: error.message,
-                needAuth: false
-            });
+            while (block <= runEnd && pendingLength >= blockLength(block)) {
+                const buffered = Buffer.concat(pending, pendingLength);
+                const length = blockLength(block);
+                
+                writeBlock(key, block, buffered.subarray(0, length))
+                    .catch(error => console.error('Could not cache block:', error.message));
+                
+                pending = [buffered.subarray(length)];
+                pendingLength -= length;
+                block++;
+            }
+        }
+        
+        if (block <= runEnd) {
+            throw new Error('Google Drive ended the response early');
         }
     }
-});
+}
 
-// API: Get specific video details and stream URL
-app.get('/api/video/:id', async (req, res) => {
-    const videoId = req.params.id;
+// ==================== STORAGE PROVIDERS ====================
+// Every video source implements the same small interface:
+//   list({ filters, pageSize, pageToken, withMetadata })
+//                                          -> { videos, nextPageToken }
+//   getFile(fileId)                        -> Drive-shaped file resource
+//   openStream(file, range, signal, opts)  -> Readable of the bytes in range (or all)
+//   getThumbnail(file)                     -> image Buffer, or null
+//   listSiblings(file)                     -> other files in the same folder
+// Drive IDs are used as they are; other sources prefix theirs ("local:<id>", "s3:<id>").
+const VIDEO_MIME_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    webm: 'video/webm',
+    ogv: 'video/ogg',
+    mkv: 'video/x-matroska',
+    mov: 'video/quicktime',
+    avi: 'video/x-msvideo',
+    flv: 'video/x-flv',
+    wmv: 'video/x-ms-wmv',
+    mpg: 'video/mpeg',
+    mpeg: 'video/mpeg',
+    ts: 'video/mp2t'
+};
+const THUMBNAIL_EXTENSIONS = ['jpg', 'jpeg', 'png'];
+// Directory and bucket listings are walked in full, then filtered like Drive results
+const CATALOG_TTL = 60 * 1000;
+
+function encodePathId(value) {
+    return Buffer.from(value, 'utf8').toString('base64url');
+}
+
+function decodePathId(id) {
+    return Buffer.from(id, 'base64url').toString('utf8');
+}
+
+// Library sort keys as comparators over mapped videos, for in-memory listings and
+// for merging the pages of several sources
+const LIBRARY_SORTERS = {
+    newest: (a, b) => Date.parse(b.createdTime) - Date.parse(a.createdTime),
+    oldest: (a, b) => Date.parse(a.createdTime) - Date.parse(b.createdTime),
+    name: (a, b) => a.title.localeCompare(b.title, undefined, { numeric: true, sensitivity: 'base' }),
+    modified: (a, b) => Date.parse(b.modifiedTime) - Date.parse(a.modifiedTime),
+    size: (a, b) => (b.sizeBytes || 0) - (a.sizeBytes || 0),
+    rating: (a, b) => (b.rating || 0) - (a.rating || 0) || Date.parse(b.createdTime) - Date.parse(a.createdTime),
+    longest: (a, b) => (b.durationMs || 0) - (a.durationMs || 0),
+    // Unknown lengths go last either way
+    shortest: (a, b) => (a.durationMs || Infinity) - (b.durationMs || Infinity) || 0
+};
+
+// Apply the /api/videos filters and sort to an in-memory list of mapped videos.
+// withMetadata adds tags, rating and favourite before the filters look at them.
+function filterCatalog(videos, filters, pageSize, pageToken, withMetadata = video => video) {
+    const search = filters.search.toLowerCase();
+    
+    const matches = videos
+        .map(withMetadata)
+        .filter(video => !search || video.title.toLowerCase().includes(search))
+        .filter(video => !filters.mimeType || video.type === filters.mimeType)
+        .filter(video => !filters.modifiedAfter || video.modifiedTime > filters.modifiedAfter)
+        .filter(video => !filters.modifiedBefore || video.modifiedTime < filters.modifiedBefore)
+        .filter(video => matchesPostFilters(video, filters))
+        .sort(LIBRARY_SORTERS[filters.sort]);
+    
+    const offset = parseInt(pageToken, 10) || 0;
+    const next = offset + pageSize;
+    return {
+        videos: matches.slice(offset, next),
+        nextPageToken: next < matches.length ? String(next) : null
+    };
+}
+
+// Keep a full listing for CATALOG_TTL so paging and searching do not rescan
+function createCatalogCache(load) {
+    let cached = null;
+    
+    return async function getCatalog() {
+        if (!cached || Date.now() - cached.timestamp > CATALOG_TTL) {
+            cached = { promise: load(), timestamp: Date.now() };
+            cached.promise.catch(() => { cached = null; });
+        }
+        return cached.promise;
+    };
+}
+
+// One Google account (My Drive plus files shared with it), or one shared drive
+// read with an account's token. The first account keeps bare Drive IDs.
+function createDriveProvider({ id = 'drive', label = 'Google Drive', accountId = DEFAULT_DRIVE_ACCOUNT, driveId = null } = {}) {
+    const prefix = id === 'drive' ? '' : `${id}:`;
+    
+    async function getDrive() {
+        const auth = await getAuthenticatedClient(accountId);
+        return { auth, drive: google.drive({ version: 'v3', auth }) };
+    }
+    
+    // Drive resource -> file with this source's ID; driveFileId is what the Drive API wants
+    function toFile(data) {
+        return { ...data, id: prefix + data.id, driveFileId: data.id, source: id };
+    }
+    
+    return {
+        id: id,
+        type: 'drive',
+        label: label,
+        accountId: accountId,
+        driveId: driveId,
+        getDrive: getDrive,
+        toFile: toFile,
+        
+        async list({ filters, pageSize, pageToken, withMetadata = video => video }) {
+            // Served from the background-synced index once its first scan is done
+            const indexed = await getIndexedVideos(id);
+            if (indexed) {
+                return filterCatalog(indexed, filters, pageSize, pageToken, withMetadata);
+            }
+            
+            const { drive } = await getDrive();
+            const q = buildVideoQuery(filters);
+            
+            console.log(`Querying ${label} for video files (q: ${q}, pageSize: ${pageSize}, pageToken: ${pageToken ? 'yes' : 'none'})...`);
+            
+            // Post-filtered queries may need several Drive pages to fill one response.
+            // Whole pages are always consumed so nextPageToken never skips a file.
+            let videos = [];
+            let pagesRead = 0;
+            do {
+                const response = await drive.files.list({
+                    q: q,
+                    fields: `nextPageToken, files(${VIDEO_FILE_FIELDS})`,
+                    orderBy: SORT_ORDERS[filters.sort] || SORT_ORDERS.newest,
+                    pageSize: pageSize,
+                    pageToken: pageToken || undefined,
+                    corpora: driveId ? 'drive' : 'user',
+                    driveId: driveId || undefined,
+                    includeItemsFromAllDrives: !!driveId,
+                    supportsAllDrives: true
+                });
+                
+                const pageVideos = response.data.files.map(file => withMetadata(mapVideoFile(toFile(file))));
+                videos = videos.concat(pageVideos.filter(video => matchesPostFilters(video, filters)));
+                pageToken = response.data.nextPageToken || null;
+                pagesRead++;
+            } while (hasPostFilters(filters) && pageToken && videos.length < pageSize && pagesRead < MAX_FILTER_PAGES);
+            
+            return { videos, nextPageToken: pageToken, sortUnavailable: !SORT_ORDERS[filters.sort] };
+        },
+        
+        // Seeks come in bursts, so file details are kept briefly
+        async getFile(fileId) {
+            const cached = fileInfoCache.get(prefix + fileId);
+            if (cached && (Date.now() - cached.timestamp) < FILE_INFO_TTL) {
+                return cached.data;
+            }
+            
+            const { drive } = await getDrive();
+            const data = toFile((await drive.files.get({
+                fileId: fileId,
+                fields: `${VIDEO_FILE_FIELDS}, parents`,
+                supportsAllDrives: true
+            })).data);
+            
+            fileInfoCache.set(data.id, { data, timestamp: Date.now() });
+            return data;
+        },
+        
+        async openStream(file, range, signal, { useCache = true } = {}) {
+            const { auth } = await getDrive();
+            const { token: accessToken } = await auth.getAccessToken();
+            
+            if (!accessToken) {
+                throw new Error('Not authenticated');
+            }
+            
+            // Cached playback: blocks are written into a PassThrough the route pipes out
+            if (useCache && range && isBlockCacheEnabled()) {
+                const output = new PassThrough();
+                streamCachedRange(output, file, range, accessToken, signal)
+                    .then(() => output.end(), error => output.destroy(error));
+                return output;
+            }
+            
+            const headers = { 'Authorization': `Bearer ${accessToken}` };
+            if (range) {
+                headers['Range'] = `bytes=${range.start}-${range.end}`;
+            }
+            
+            const response = await fetch(getDriveMediaUrl(file), {
+                headers: headers,
+                signal: signal
+            });
+            
+            if (!response.ok) {
+                const error = new Error(`Google Drive API error: ${response.status} ${response.statusText}`);
+                error.code = response.status;
+                throw error;
+            }
+            
+            return Readable.fromWeb(response.body);
+        },
+        
+        async getThumbnail(file) {
+            if (!file.thumbnailLink) return null;
+            
+            const { auth } = await getDrive();
+            const { token: accessToken } = await auth.getAccessToken();
+            
+            // thumbnailLink ends with a size hint (=s220); ask for something card-sized instead
+            const thumbnailUrl = file.thumbnailLink.replace(/=s\d+$/, `=s${THUMBNAIL_SIZE}`);
+            const response = await fetch(thumbnailUrl, {
+                headers: { 'Authorization': `Bearer ${accessToken}` }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Thumbnail fetch failed: ${response.status} ${response.statusText}`);
+            }
+            
+            return Buffer.from(await response.arrayBuffer());
+        },
+        
+        async listSiblings(file) {
+            if (!file.parents || !file.parents.length) return [];
+            
+            const { drive } = await getDrive();
+            const response = await drive.files.list({
+                q: `'${file.parents[0]}' in parents and trashed = false and mimeType != '${FOLDER_MIME_TYPE}' and not mimeType contains 'video/'`,
+                fields: 'files(id, name, size)',
+                pageSize: 1000,
+                includeItemsFromAllDrives: true,
+                supportsAllDrives: true
+            });
+            
+            return (response.data.files || []).map(toFile);
+        }
+    };
+}
+
+// A directory on this machine (or a mounted NAS share), walked recursively
+function createLocalProvider(rootDir) {
+    const root = path.resolve(rootDir);
+    
+    // IDs are the base64url path relative to root; refuse anything that escapes it
+    function resolvePath(fileId) {
+        const relative = decodePathId(fileId);
+        const fullPath = path.resolve(root, relative);
+        if (!relative || (fullPath !== root && !fullPath.startsWith(root + path.sep))) {
+            const error = new Error('File not found');
+            error.code = 404;
+            throw error;
+        }
+        return fullPath;
+    }
+    
+    function toFile(relativePath, stats) {
+        const name = path.basename(relativePath);
+        const extension = getFileExtension(name);
+        return {
+            id: `local:${encodePathId(relativePath)}`,
+            source: 'local',
+            name: name,
+            mimeType: VIDEO_MIME_TYPES[extension] || 'application/octet-stream',
+            size: String(stats.size),
+            createdTime: (stats.birthtimeMs ? stats.birthtime : stats.mtime).toISOString(),
+            modifiedTime: stats.mtime.toISOString(),
+            fileExtension: extension,
+            webViewLink: null,
+            hasThumbnail: true,
+            path: relativePath
+        };
+    }
+    
+    const getCatalog = createCatalogCache(async () => {
+        const videos = [];
+        
+        async function walk(relativeDir, depth) {
+            const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true }).catch(() => []);
+            for (const entry of entries) {
+                if (entry.name.startsWith('.')) continue;
+                const relativePath = path.join(relativeDir, entry.name);
+                
+                if (entry.isDirectory() && depth < MAX_FOLDER_DEPTH) {
+                    await walk(relativePath, depth + 1);
+                } else if (entry.isFile() && VIDEO_MIME_TYPES[getFileExtension(entry.name)]) {
+                    const stats = await fs.stat(path.join(root, relativePath)).catch(() => null);
+                    if (stats) videos.push(mapVideoFile(toFile(relativePath, stats)));
+                }
+            }
+        }
+        
+        await walk('', 0);
+        return videos;
+    });
+    
+    return {
+        id: 'local',
+        type: 'local',
+        label: process.env.LOCAL_MEDIA_LABEL || 'Local Files',
+        
+        async list({ filters, pageSize, pageToken, withMetadata }) {
+            return filterCatalog(await getCatalog(), filters, pageSize, pageToken, withMetadata);
+        },
+        
+        async getFile(fileId) {
+            const fullPath = resolvePath(fileId);
+            const stats = await fs.stat(fullPath).catch(() => null);
+            if (!stats || !stats.isFile()) {
+                const error = new Error('File not found');
+                error.code = 404;
+                throw error;
+            }
+            return toFile(path.relative(root, fullPath), stats);
+        },
+        
+        async openStream(file, range) {
+            const fullPath = path.join(root, file.path);
+            return require('fs').createReadStream(fullPath, range ? { start: range.start, end: range.end } : {});
+        },
+        
+        // movie.jpg / movie.png next to movie.mkv
+        async getThumbnail(file) {
+            const base = path.join(root, file.path).replace(/\.[^.]+$/, '');
+            for (const extension of THUMBNAIL_EXTENSIONS) {
+                const image = await fs.readFile(`${base}.${extension}`).catch(() => null);
+                if (image) return image;
+            }
+            return null;
+        },
+        
+        async listSiblings(file) {
+            const relativeDir = path.dirname(file.path);
+            const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true }).catch(() => []);
+            
+            // A file that cannot be read (permissions, a vanished link) is left out, not fatal
+            const siblings = await Promise.all(entries
+                .filter(entry => entry.isFile() && !VIDEO_MIME_TYPES[getFileExtension(entry.name)])
+                .map(async entry => {
+                    const relativePath = path.join(relativeDir, entry.name);
+                    const stats = await fs.stat(path.join(root, relativePath)).catch(() => null);
+                    return stats && { id: `local:${encodePathId(relativePath)}`, name: entry.name, size: String(stats.size) };
+                }));
+            return siblings.filter(Boolean);
+        }
+    };
+}
+
+// An S3 bucket or S3-compatible store (MinIO: set S3_ENDPOINT)
+function createS3Provider() {
+    // Only loaded when a bucket is configured
+    const { S3Client, ListObjectsV2Command, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+    
+    const bucket = process.env.S3_BUCKET;
+    const prefix = process.env.S3_PREFIX || '';
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // MinIO and most self-hosted stores only do path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+            ? process.env.S3_FORCE_PATH_STYLE === 'true'
+            : !!process.env.S3_ENDPOINT,
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    
+    function toFile(key, size, lastModified, contentType) {
+        const name = key.split('/').pop();
+        const extension = getFileExtension(name);
+        const modified = (lastModified || new Date()).toISOString();
+        return {
+            id: `s3:${encodePathId(key)}`,
+            source: 's3',
+            name: name,
+            mimeType: VIDEO_MIME_TYPES[extension] || contentType || 'application/octet-stream',
+            size: String(size),
+            // S3 keeps no creation time; an overwrite is as good as a new upload
+            createdTime: modified,
+            modifiedTime: modified,
+            fileExtension: extension,
+            webViewLink: null,
+            hasThumbnail: true,
+            key: key
+        };
+    }
+    
+    async function listObjects(listPrefix, delimiter) {
+        const objects = [];
+        let continuationToken;
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: listPrefix,
+                Delimiter: delimiter,
+                ContinuationToken: continuationToken
+            }));
+            objects.push(...(response.Contents || []));
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return objects;
+    }
+    
+    // S3 errors carry the HTTP status in $metadata; the routes look at error.code
+    function normalizeError(error) {
+        if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+            error.code = 404;
+        }
+        return error;
+    }
+    
+    const getCatalog = createCatalogCache(async () => {
+        const objects = await listObjects(prefix);
+        return objects
+            .filter(object => VIDEO_MIME_TYPES[getFileExtension(object.Key)])
+            .map(object => mapVideoFile(toFile(object.Key, object.Size, object.LastModified)));
+    });
+    
+    return {
+        id: 's3',
+        type: 's3',
+        label: process.env.S3_LABEL || `S3: ${bucket}`,
+        
+        async list({ filters, pageSize, pageToken, withMetadata }) {
+            return filterCatalog(await getCatalog(), filters, pageSize, pageToken, withMetadata);
+        },
+        
+        async getFile(fileId) {
+            const key = decodePathId(fileId);
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return toFile(key, head.ContentLength, head.LastModified, head.ContentType);
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        },
+        
+        async openStream(file, range, signal) {
+            try {
+                const response = await client.send(new GetObjectCommand({
+                    Bucket: bucket,
+                    Key: file.key,
+                    Range: range ? `bytes=${range.start}-${range.end}` : undefined
+                }), { abortSignal: signal });
+                return response.Body;
+            } catch (error) {
+                throw normalizeError(error);
+            }
+        },
+        
+        async getThumbnail(file) {
+            const base = file.key.replace(/\.[^.]+$/, '');
+            for (const extension of THUMBNAIL_EXTENSIONS) {
+                try {
+                    const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: `${base}.${extension}` }));
+                    return Buffer.from(await response.Body.transformToByteArray());
+                } catch (error) {
+                    if (normalizeError(error).code !== 404) throw error;
+                }
+            }
+            return null;
+        },
+        
+        async listSiblings(file) {
+            const slash = file.key.lastIndexOf('/');
+            const objects = await listObjects(slash === -1 ? '' : file.key.slice(0, slash + 1), '/');
+            return objects
+                .filter(object => !VIDEO_MIME_TYPES[getFileExtension(object.Key)])
+                .map(object => ({ id: `s3:${encodePathId(object.Key)}`, name: object.Key.split('/').pop(), size: String(object.Size) }));
+        }
+    };
+}
+
+// Drive is always available (added accounts and shared drives join it in
+// refreshDriveSources); the others switch on with their environment variables
+const storageProviders = new Map();
+storageProviders.set('drive', createDriveProvider());
+if (process.env.LOCAL_MEDIA_DIR) {
+    storageProviders.set('local', createLocalProvider(process.env.LOCAL_MEDIA_DIR));
+}
+if (process.env.S3_BUCKET) {
+    storageProviders.set('s3', createS3Provider());
+}
+
+// "local:abc" -> local provider + "abc"; a bare ID is a Drive file
+function resolveVideoId(videoId) {
+    const match = /^([a-z][a-z0-9-]*):(.+)$/.exec(videoId);
+    const provider = storageProviders.get(match ? match[1] : 'drive');
+    
+    if (!provider) {
+        const error = new Error(`Unknown video source "${match[1]}"`);
+        error.code = 404;
+        throw error;
+    }
+    return { provider, fileId: match ? match[2] : videoId };
+}
+
+function isValidVideoId(videoId) {
+    const match = /^([a-z][a-z0-9-]*):(.+)$/.exec(String(videoId));
+    return match
+        ? storageProviders.has(match[1]) && /^[A-Za-z0-9_-]+$/.test(match[2])
+        : isValidDriveId(videoId);
+}
+
+// File name for a video's cached artifacts (thumbnails, HLS, subtitles); ":" is not portable
+function getCacheName(videoId) {
+    return videoId.replace(':', '_');
+}
+
+// ?source=local -> [local provider]; no source -> every provider, Drive first
+function parseSourceFilter(source) {
+    if (!source) return [...storageProviders.values()];
+    
+    const provider = storageProviders.get(source);
+    if (!provider) {
+        throw new Error(`Unknown source "${source}" (expected ${[...storageProviders.keys()].join(', ')})`);
+    }
+    return [provider];
+}
+
+// The library page token holds how far each unfinished source has got:
+// [{ s: source index, t: that source's own page token, o: videos of that page already sent }]
+function encodeLibraryPageToken(positions) {
+    return Buffer.from(JSON.stringify(positions.map(({ source, token, offset }) => ({ s: source, t: token, o: offset }))))
+        .toString('base64url');
+}
+
+function decodeLibraryPageToken(pageToken, sourceCount) {
+    if (!pageToken) {
+        return Array.from({ length: sourceCount }, (value, source) => ({ source, token: null, offset: 0 }));
+    }
+    
+    try {
+        const positions = JSON.parse(Buffer.from(pageToken, 'base64url').toString('utf8'));
+        if (!Array.isArray(positions)) throw new Error();
+        
+        return positions.map(({ s, t, o }) => {
+            if (!Number.isInteger(s) || s < 0 || s >= sourceCount || !Number.isInteger(o) || o < 0) throw new Error();
+            return { source: s, token: typeof t === 'string' ? t : null, offset: o };
+        });
+    } catch (error) {
+        throw new Error('pageToken is not a token from a previous response');
+    }
+}
+
+// Merge the sources' sorted pages into one page in the requested order. A source
+// that runs out of fetched videos while it has more stops the page there, so the
+// next page carries on from the right place in every source.
+function mergeLibraryPages(pages, sort, pageSize) {
+    const compare = LIBRARY_SORTERS[sort];
+    const videos = [];
+    
+    while (videos.length < pageSize) {
+        const waiting = pages.some(page => page.taken === page.videos.length && page.nextPageToken);
+        const candidates = pages.filter(page => page.taken < page.videos.length);
+        if (waiting || !candidates.length) break;
+        
+        const next = candidates.reduce((best, page) =>
+            compare(page.videos[page.taken], best.videos[best.taken]) < 0 ? page : best);
+        videos.push(next.videos[next.taken++]);
+    }
+    
+    // Sources with nothing left drop out of the token
+    const positions = pages
+        .filter(page => page.taken < page.videos.length || page.nextPageToken)
+        .map(page => page.taken < page.videos.length
+            ? { source: page.source, token: page.token, offset: page.offset + page.taken }
+            : { source: page.source, token: page.nextPageToken, offset: 0 });
+    
+    return { videos, positions };
+}
+
+// ==================== ROUTES ====================
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+app.get('/player', (req, res) => {
+    res.sendFile(path.join(__dirname, 'player.html'));
+});
+
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'login.html'));
+});
+
+app.get('/admin', requireAdmin, (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'ok', 
+        timestamp: new Date().toISOString(),
+        service: 'Sparrow Stream'
+    });
+});
+
+// Debug endpoint
+app.get('/api/debug/:id', requireAdmin, async (req, res) => {
+    const videoId = req.params.id;
+    console.log(`Debug video: ${videoId}`);
+    
+    try {
+        const auth = await getAuthenticatedClient();
+        const drive = google.drive({ version: 'v3', auth });
+        
+        const file = await drive.files.get({
+            fileId: videoId,
+            fields: 'id, name, mimeType, size'
+        });
+        
+        const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
+        const directUrl = `https://drive.google.com/uc?export=download&id=${videoId}`;
+        const viewUrl = `https://drive.google.com/file/d/${videoId}/view`;
+        const signedStreamUrl = `${baseUrl}${await signStreamUrl(videoId)}`;
+        
+        res.json({
+            success: true,
+            video: {
+                id: file.data.id,
+                name: file.data.name,
+                mimeType: file.data.mimeType,
+                size: file.data.size,
+                formatSupported: isSupportedFormat(file.data.mimeType),
+                testUrls: {
+                    directDownload: directUrl,
+                    googleDriveView: viewUrl,
+                    signedStream: signedStreamUrl,
+                    proxyStream: `${baseUrl}/api/stream/${videoId}`
+                },
+                tokenInfo: {
+                    hasToken: !!auth.credentials.access_token,
+                    expiresIn: auth.credentials.expiry_date ? Math.max(0, auth.credentials.expiry_date - Date.now()) : null
+                }
+            }
+        });
+        
+    } catch (error) {
+        res.json({
+            success: false,
+            error: error.message,
+            stack: error.stack
+        });
+    }
+});
+
+// ==================== API ENDPOINTS ====================
+
+// API: Get list of videos from every configured source (or just ?source=drive|local|s3)
+// Paged with ?limit= (default 50, max 1000) and ?pageToken= (the nextPageToken of the previous page).
+// Filtered and sorted with ?q=, ?sort=, ?mimeType=, ?minSize=/?maxSize= (bytes),
+// ?modifiedAfter=/?modifiedBefore= (dates), ?minDuration=/?maxDuration= (seconds) and ?resolution=SD|HD|4K.
+// Sources are read one after another; the page token records which one we are in.
+app.get('/api/videos', async (req, res) => {
+    console.log('GET /api/videos', req.query);
+    
+    let filters;
+    let sources;
+    let positions;
+    try {
+        filters = parseLibraryFilters(req.query);
+        sources = parseSourceFilter(req.query.source);
+        positions = decodeLibraryPageToken(req.query.pageToken, sources.length);
+    } catch (err) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Invalid filter', 
+            message: err.message 
+        });
+    }
+    
+    const pageSize = parsePageSize(req.query.limit);
+    const sourceErrors = [];
+    
+    try {
+        const withMetadata = await createMetadataDecorator(req.user.username);
+        
+        // Each source lists from where it got to; videos already sent from that page are
+        // skipped, so it is asked for enough to still have a full page after them
+        const pages = await Promise.all(positions.map(async position => {
+            const provider = sources[position.source];
+            try {
+                const page = await provider.list({
+                    filters: filters,
+                    pageSize: Math.min(MAX_PAGE_SIZE, pageSize + position.offset),
+                    pageToken: position.token,
+                    withMetadata: withMetadata
+                });
+                return {
+                    ...position,
+                    videos: page.videos.slice(position.offset),
+                    nextPageToken: page.nextPageToken,
+                    sortUnavailable: !!page.sortUnavailable,
+                    taken: 0
+                };
+            } catch (error) {
+                // With one source its error is the response; with several, show what we have
+                if (sources.length === 1) throw error;
+                console.error(`Error listing ${provider.id}:`, error.message);
+                sourceErrors.push({ source: provider.id, message: error.message });
+                return null;
+            }
+        }));
+        
+        const { videos, positions: nextPositions } = mergeLibraryPages(pages.filter(Boolean), filters.sort, pageSize);
+        const nextPageToken = nextPositions.length ? encodeLibraryPageToken(nextPositions) : null;
+        // A source that could not sort this way listed newest first instead
+        const sortUnavailable = pages.some(page => page && page.sortUnavailable);
+
+        console.log(`Found ${videos.length} video files${nextPageToken ? ' (more pages available)' : ''}`);
+
+        res.json({ 
+            success: true, 
+            videos: videos,
+            count: videos.length,
+            nextPageToken: nextPageToken,
+            hasMore: !!nextPageToken,
+            filters: filters,
+            sources: sources.map(provider => provider.id),
+            sourceErrors: sourceErrors.length ? sourceErrors : undefined,
+            sortUnavailable: sortUnavailable || undefined,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Error fetching videos:', error.message);
+        
+        if (isDriveAuthError(error)) {
+            
+            await deleteDriveToken(error.accountId);
+            const authUrl = generateAuthUrl();
+            
+            res.status(401).json({ 
+                error: 'Authentication required', 
+                needAuth: true,
+                authUrl: authUrl,
+                message: 'Please connect Google Drive'
+            });
+        } else {
+            res.status(500).json({ 
+                error: 'Failed to load videos', 
+                message: error.message,
+                needAuth: false
+            });
+        }
+    }
+});
+
+// API: Configured video sources, for the library's source filter
+app.get('/api/sources', (req, res) => {
+    res.json({
+        success: true,
+        // writable: videos can be renamed, moved and trashed (see LIBRARY MANAGEMENT)
+        sources: [...storageProviders.values()].map(provider => ({
+            id: provider.id,
+            label: provider.label,
+            writable: provider.type === 'drive' && DRIVE_WRITE_ACCESS
+        }))
+    });
+});
+
+// Walk up the parents chain to build breadcrumbs, ending at "My Drive" (or the shared drive)
+async function getFolderPath(drive, folderId) {
+    const trail = [];
+    let currentId = folderId;
+    
+    while (currentId && trail.length < MAX_FOLDER_DEPTH) {
+        let folder;
+        try {
+            const response = await drive.files.get({
+                fileId: currentId,
+                fields: 'id, name, parents',
+                supportsAllDrives: true
+            });
+            folder = response.data;
+        } catch (err) {
+            // Parents outside the user's Drive (e.g. shared folders) are not readable
+            console.log(`Stopping breadcrumb walk at ${currentId}:`, err.message);
+            break;
+        }
+        
+        trail.unshift({ id: folder.id, name: folder.name });
+        currentId = folder.parents && folder.parents[0];
+    }
+    
+    return trail;
+}
+
+// API: Browse a Drive folder - returns its subfolders and the videos directly inside it
+// Use "root" for the top of My Drive (or of the shared drive picked with ?source=).
+// Paged the same way as /api/videos.
+app.get('/api/folders/:id', async (req, res) => {
+    const provider = storageProviders.get(req.query.source || 'drive');
+    console.log(`GET /api/folders/${req.params.id}`);
+    
+    if (!isValidDriveId(req.params.id)) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Invalid folder ID' 
+        });
+    }
+    if (!provider || provider.type !== 'drive') {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Folders can only be browsed in Google Drive sources' 
+        });
+    }
+    
+    const folderId = req.params.id === 'root' && provider.driveId ? provider.driveId : req.params.id;
+    
+    try {
+        const { drive } = await provider.getDrive();
+        
+        const pageSize = parsePageSize(req.query.limit);
+        const pageToken = req.query.pageToken || undefined;
+        
+        const response = await drive.files.list({
+            q: `'${folderId}' in parents and trashed = false and (mimeType = '${FOLDER_MIME_TYPE}' or mimeType contains 'video/')`,
+            fields: `nextPageToken, files(${VIDEO_FILE_FIELDS})`,
+            orderBy: 'folder, name',
+            pageSize: pageSize,
+            pageToken: pageToken,
+            includeItemsFromAllDrives: true,
+            supportsAllDrives: true
+        });
+        
+        const files = response.data.files;
+        const folders = files
+            .filter(file => file.mimeType === FOLDER_MIME_TYPE)
+            .map(file => ({
+                id: file.id,
+                name: file.name,
+                modified: file.modifiedTime
+            }));
+        const withMetadata = await createMetadataDecorator(req.user.username);
+        const videos = files
+            .filter(file => file.mimeType !== FOLDER_MIME_TYPE)
+            .map(file => withMetadata(mapVideoFile(provider.toFile(file))));
+        
+        // Breadcrumbs only change with the folder, so skip the walk on later pages
+        const folderPath = pageToken ? null : await getFolderPath(drive, folderId);
+        const current = folderPath && folderPath.length > 0 ? folderPath[folderPath.length - 1] : null;
+        
+        console.log(`Folder ${folderId}: ${folders.length} folders, ${videos.length} videos`);
+        
+        res.json({
+            success: true,
+            folder: current,
+            path: folderPath,
+            folders: folders,
+            videos: videos,
+            count: videos.length,
+            nextPageToken: response.data.nextPageToken || null,
+            hasMore: !!response.data.nextPageToken,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Error browsing folder:', error.message);
+        await sendDriveError(res, error, 'Failed to load folder');
+    }
+});
+
+// API: Get specific video details and stream URL
+app.get('/api/video/:id', async (req, res) => {
+    const videoId = req.params.id;
     console.log(`GET /api/video/${videoId}`);
     
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    try {
+        // Check cache first
+        const cached = videoCache.get(videoId);
+        // Metadata is per user (favourites), so it is added after the shared cache
+        if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
+            console.log('Returning cached video data');
+            return res.json({ ...cached.data, ...await getVideoMetadata(videoId, req.user.username) });
+        }
+        
+        const { provider, fileId } = resolveVideoId(videoId);
+        
+        console.log(`Fetching video details from ${provider.label}...`);
+        
+        const file = { data: await provider.getFile(fileId) };
+        const isDrive = provider.type === 'drive';
+
+        // Create proxy URLs - the session-authenticated one for our player, and a
+        // signed one that works on its own (external players, casting) until it expires
+        const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
+        const proxyStreamUrl = `${baseUrl}/api/stream/${videoId}`;
+        const signedStreamUrl = `${baseUrl}${await signStreamUrl(videoId)}`;
+
+        // ffprobe over the network can take a while, so only a probe that is already cached
+        // is used here; otherwise the player loads tracks from /api/video/:id/tracks
+        const probeDetails = getProbeDetails(mapVideoFile(file.data), getCachedProbe(videoId));
+
+        const videoData = {
+            success: true,
+            id: file.data.id,
+            source: provider.id,
+            sourceLabel: provider.label,
+            title: file.data.name,
+            size: file.data.size ? formatFileSize(file.data.size) : 'Unknown',
+            type: file.data.mimeType,
+            ...probeDetails,
+            created: new Date(file.data.createdTime).toLocaleDateString(),
+            streamUrl: signedStreamUrl,
+            proxyStreamUrl: proxyStreamUrl,
+            downloadUrl: `${proxyStreamUrl}?download=1`,
+            transcodeUrl: `${baseUrl}/api/transcode/${videoId}`,
+            hlsUrl: `${baseUrl}/api/hls/${videoId}/master.m3u8`,
+            directLink: isDrive ? `https://drive.google.com/file/d/${file.data.driveFileId}/view` : null,
+            webViewLink: file.data.webViewLink || null,
+            mimeType: file.data.mimeType,
+            fileExtension: file.data.fileExtension || file.data.name.split('.').pop() || 'Unknown',
+            supportsStreaming: true,
+            formatSupported: isSupportedFormat(file.data.mimeType),
+            timestamp: new Date().toISOString()
+        };
+
+        // Cache the response
+        videoCache.set(videoId, {
+            data: videoData,
+            timestamp: Date.now()
+        });
+
+        console.log('Video data prepared:', {
+            title: videoData.title,
+            size: videoData.size,
+            format: videoData.fileExtension,
+            supported: videoData.formatSupported
+        });
+
+        res.json({ ...videoData, ...await getVideoMetadata(videoId, req.user.username) });
+        
+    } catch (error) {
+        console.error('Error fetching video:', error.message);
+        
+        if (isDriveAuthError(error)) {
+            
+            await deleteDriveToken(error.accountId);
+            
+            res.status(401).json({ 
+                success: false, 
+                error: 'Authentication expired',
+                needAuth: true,
+                message: 'Please reconnect Google Drive'
+            });
+        } else if (Number(error.code) === 404 || error.message.includes('file not found')) {
+            res.status(404).json({ 
+                success: false, 
+                error: 'Video not found',
+                message: 'The requested video could not be found'
+            });
+        } else {
+            res.status(500).json({ 
+                success: false, 
+                error: 'Failed to load video',
+                message: error.message,
+                details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+            });
+        }
+    }
+});
+
+// API: Embedded audio/subtitle tracks, with the duration and size ffprobe found
+app.get('/api/video/:id/tracks', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    try {
+        const { provider, fileId } = resolveVideoId(videoId);
+        const file = await provider.getFile(fileId);
+        const details = getProbeDetails(mapVideoFile(file), await probeVideo(videoId));
+        
+        // The cached video details were built without the probe
+        const cached = videoCache.get(videoId);
+        if (cached) Object.assign(cached.data, details);
+        
+        res.json({ success: true, ...details });
+    } catch (error) {
+        console.log(`Could not probe ${videoId}:`, error.message);
+        res.status(Number(error.code) === 404 ? 404 : 500).json({ 
+            success: false, 
+            error: error.code === 'ENOENT' ? 'ffprobe is not installed on the server' : 'Failed to read tracks', 
+            message: error.message 
+        });
+    }
+});
+
+// Fetch a thumbnail from the video's source and store it in THUMBNAIL_DIR.
+// Sources without one get a frame grabbed by ffmpeg, when it is installed.
+async function fetchThumbnail(videoId, cachePath) {
+    const { provider, fileId } = resolveVideoId(videoId);
+    const file = await provider.getFile(fileId);
+    
+    let image = await provider.getThumbnail(file);
+    if (!image && provider.type !== 'drive') {
+        image = await grabThumbnailFrame(videoId).catch(error => {
+            console.log(`Could not grab a frame from ${videoId}:`, error.message);
+            return null;
+        });
+    }
+    
+    if (!image) {
+        return null;
+    }
+    
+    await fs.mkdir(THUMBNAIL_DIR, { recursive: true });
+    await fs.writeFile(cachePath, image);
+    
+    return image;
+}
+
+// API: Video thumbnail, proxied from the video's source and cached on disk
+app.get('/api/thumbnail/:id', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    
+    const cachePath = path.join(THUMBNAIL_DIR, `${getCacheName(videoId)}.jpg`);
+    
+    try {
+        const stats = await fs.stat(cachePath).catch(() => null);
+        
+        if (!stats || Date.now() - stats.mtimeMs > THUMBNAIL_MAX_AGE) {
+            // Cards render in batches; share one Drive fetch between concurrent requests
+            if (!thumbnailRequests.has(videoId)) {
+                thumbnailRequests.set(videoId, fetchThumbnail(videoId, cachePath)
+                    .finally(() => thumbnailRequests.delete(videoId)));
+            }
+            
+            const image = await thumbnailRequests.get(videoId);
+            if (!image) {
+                return res.status(404).json({ error: 'No thumbnail available' });
+            }
+        }
+        
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.type('image/jpeg');
+        res.sendFile(cachePath);
+        
+    } catch (error) {
+        console.error(`Thumbnail error for ${videoId}:`, error.message);
+        
+        // A stale copy is better than a broken image
+        const stale = await fs.access(cachePath).then(() => true).catch(() => false);
+        if (stale) {
+            return res.sendFile(cachePath);
+        }
+        
+        res.status(error.message.includes('Not authenticated') ? 401 : 502).json({ 
+            error: 'Thumbnail unavailable', 
+            message: error.message 
+        });
+    }
+});
+
+// PROXY ENDPOINT: Stream video through server (fixes CORS issues)
+// Every byte goes through here so storage credentials never reach the browser.
+// Handles HEAD, full-file GET and Range requests; ?download=1 adds an attachment header.
+// Reachable with a session cookie or with a signed ?exp=&sig= URL from signStreamUrl().
+app.all('/api/stream/:id', async (req, res) => {
+    const videoId = req.params.id;
+    console.log(`${req.method} /api/stream/${videoId} - Video streaming proxy${req.headers.range ? ` (${req.headers.range})` : ''}`);
+    
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    
+    // Stop reading from storage as soon as the player goes away (seeks abort constantly)
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    
+    try {
+        const { provider, fileId } = resolveVideoId(videoId);
+        const file = await provider.getFile(fileId);
+        const download = req.query.download === '1';
+        
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Expose-Headers', '*');
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Content-Type', file.mimeType);
+        res.setHeader('Accept-Ranges', 'bytes');
+        if (file.modifiedTime) {
+            res.setHeader('Last-Modified', new Date(file.modifiedTime).toUTCString());
+        }
+        
+        if (download) {
+            res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`);
+        }
+        
+        if (req.method === 'HEAD') {
+            if (file.size) res.setHeader('Content-Length', file.size);
+            return res.status(200).end();
+        }
+        
+        const range = file.size ? parseRangeHeader(req.headers.range, Number(file.size)) : undefined;
+        
+        if (range === null) {
+            res.setHeader('Content-Range', `bytes */${file.size}`);
+            return res.status(416).end();
+        }
+        
+        if (range) {
+            res.status(range.partial ? 206 : 200);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+            if (range.partial) {
+                res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+            }
+        }
+        
+        // Playback goes through the block cache; downloads would only flush it
+        const stream = await provider.openStream(file, range || null, controller.signal, { useCache: !download });
+        
+        // Seeks and resumed downloads ask for later ranges; only the start of the file counts.
+        // Card hover previews (?preview=1) are logged as stream.preview, apart from viewings;
+        // the server's own reads are not logged at all.
+        if (!range || range.start === 0) {
+            if (download) {
+                recordAudit(req, 'download', { videoId, title: file.name });
+            } else if (!(await isInternalStreamRequest(req))) {
+                recordStreamStart(req, videoId, file, req.query.preview === '1' ? 'stream.preview' : 'stream.start');
+            }
+        }
+        await pipeline(stream, res);
+        
+    } catch (error) {
+        // Player closed the connection mid-transfer - nothing to report
+        if (controller.signal.aborted || error.code === 'ERR_STREAM_PREMATURE_CLOSE' || error.name === 'AbortError') {
+            return;
+        }
+        
+        console.error('Stream proxy error:', error.message);
+        
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        
+        // Stream headers were set optimistically; errors go out as JSON
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Last-Modified');
+        res.status(Number(error.code) === 404 ? 404 : error.message.includes('Not authenticated') ? 401 : 500).json({ 
+            error: 'Streaming failed', 
+            message: error.message 
+        });
+    }
+});
+
+// API: Stream cache statistics (admin)
+app.get('/api/cache/stats', requireAdmin, async (req, res) => {
+    await loadBlockIndex();
+    
+    const requests = blockCacheStats.hits + blockCacheStats.misses;
+    res.json({
+        success: true,
+        enabled: isBlockCacheEnabled(),
+        blockSize: BLOCK_SIZE,
+        maxBytes: BLOCK_CACHE_MAX_BYTES,
+        usedBytes: blockCacheBytes,
+        used: formatFileSize(blockCacheBytes),
+        blocks: blockIndex.size,
+        ...blockCacheStats,
+        hitRate: requests ? Math.round((blockCacheStats.hits / requests) * 1000) / 10 : null
+    });
+});
+
+// API: Empty the stream cache (admin)
+app.delete('/api/cache', requireAdmin, async (req, res) => {
+    try {
+        await clearBlockCache();
+        console.log(`Stream cache cleared by ${req.user.username}`);
+        res.json({ success: true, message: 'Stream cache cleared' });
+    } catch (error) {
+        console.error('Error clearing stream cache:', error);
+        res.status(500).json({ success: false, error: 'Failed to clear cache', message: error.message });
+    }
+});
+
+// Shared error response for Drive-backed API routes
+async function sendDriveError(res, error, failureMessage) {
+    if (isDriveAuthError(error)) {
+        
+        await deleteDriveToken(error.accountId);
+        
+        res.status(401).json({ 
+            success: false, 
+            error: 'Authentication required',
+            needAuth: true,
+            authUrl: generateAuthUrl(),
+            message: 'Please connect Google Drive'
+        });
+    } else if (Number(error.code) === 404 || error.message.includes('File not found')) {
+        res.status(404).json({ 
+            success: false, 
+            error: 'Not found',
+            message: error.message
+        });
+    } else {
+        res.status(500).json({ 
+            success: false, 
+            error: failureMessage,
+            message: error.message
+        });
+    }
+}
+
+// Generate authentication URL (state comes back to /auth/callback untouched)
+function generateAuthUrl(state = undefined) {
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
+    const redirectUri = `${baseUrl}/auth/callback`;
+    
+    const auth = getOAuth2Client(redirectUri);
+    return auth.generateAuthUrl({
+        access_type: 'offline',
+        scope: SCOPES,
+        prompt: 'consent',
+        include_granted_scopes: true,
+        ...(state ? { state } : {})
+    });
+}
+
+// API: Get authentication status
+app.get('/api/auth-status', async (req, res) => {
+    try {
+        const tokenExists = await fs.access('./token.json').then(() => true).catch(() => false);
+        
+        if (tokenExists) {
+            try {
+                const tokenContent = await fs.readFile('./token.json', 'utf8');
+                const token = JSON.parse(tokenContent);
+                
+                // Check if token is expired or will expire soon
+                if (token.expiry_date && token.expiry_date < Date.now() + 60000) {
+                    console.log('Token expired or expiring soon');
+                    await fs.unlink('./token.json').catch(() => {});
+                    return res.json({ 
+                        authenticated: false, 
+                        needAuth: true,
+                        authUrl: generateAuthUrl()
+                    });
+                }
+                
+                // Test token validity
+                const auth = getOAuth2Client();
+                auth.setCredentials(token);
+                await auth.getAccessToken();
+                
+                return res.json({ 
+                    authenticated: true,
+                    expiresIn: token.expiry_date ? Math.max(0, token.expiry_date - Date.now()) : null
+                });
+                
+            } catch (tokenError) {
+                console.log('Token validation failed:', tokenError.message);
+                await fs.unlink('./token.json').catch(() => {});
+                return res.json({ 
+                    authenticated: false, 
+                    needAuth: true,
+                    authUrl: generateAuthUrl()
+                });
+            }
+        } else {
+            res.json({ 
+                authenticated: false, 
+                needAuth: true,
+                authUrl: generateAuthUrl()
+            });
+        }
+    } catch (error) {
+        console.error('Error checking auth status:', error);
+        res.json({ 
+            authenticated: false, 
+            needAuth: true,
+            error: error.message,
+            authUrl: generateAuthUrl()
+        });
+    }
+});
+
+// API: Revoke authentication (logout). POST, so a cross-site link cannot disconnect Drive
+app.post('/api/revoke-auth', requireAdmin, async (req, res) => {
+    try {
+        // Try to revoke token with Google
+        try {
+            const tokenContent = await fs.readFile('./token.json', 'utf8');
+            const token = JSON.parse(tokenContent);
+            const auth = getOAuth2Client();
+            auth.setCredentials(token);
+            await auth.revokeCredentials();
+            console.log('Google token revoked');
+        } catch (revokeError) {
+            console.log('Could not revoke Google token:', revokeError.message);
+        }
+        
+        // Delete token file
+        await fs.unlink('./token.json').catch(() => {});
+        recordAudit(req, 'drive.revoke', { account: 'primary' });
+        
+        // Clear cache
+        videoCache.clear();
+        await forgetIndexedSource('drive');
+        
+        res.json({ 
+            success: true, 
+            message: 'Logged out successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error revoking auth:', error);
+        res.json({ 
+            success: false, 
+            error: error.message
+        });
+    }
+});
+
+// ==================== DRIVE ACCOUNTS ====================
+// Extra Google accounts and shared drives, each listed as its own library source.
+// { accounts: { [id]: { id, email, name, token, addedBy, addedAt } },
+//   sharedDrives: { [id]: { id, accountId, driveId, name, addedBy, addedAt } } }
+// Shared drives are read with an account's token; "default" is the token.json account.
+const driveAccountsStore = createJsonStore('./drive-accounts.json', { accounts: {}, sharedDrives: {} });
+
+// "Add account" consents in flight: state nonce -> expiry
+const accountLinkStates = new Map();
+const ACCOUNT_LINK_TTL = 10 * 60 * 1000;
+
+function isValidAccountId(id) {
+    return id === DEFAULT_DRIVE_ACCOUNT || /^[a-f0-9]{8}$/.test(id);
+}
+
+// Rebuild the Drive sources in storageProviders: the first account, added accounts,
+// then shared drives, ahead of the local/S3 sources
+async function refreshDriveSources() {
+    const { accounts, sharedDrives } = await driveAccountsStore.read();
+    const others = [...storageProviders.values()].filter(provider => provider.type !== 'drive');
+    
+    storageProviders.clear();
+    storageProviders.set('drive', createDriveProvider());
+    Object.values(accounts).forEach(account => {
+        const id = `drive-${account.id}`;
+        storageProviders.set(id, createDriveProvider({ id, label: account.email, accountId: account.id }));
+    });
+    Object.values(sharedDrives).forEach(shared => {
+        const id = `shared-${shared.id}`;
+        storageProviders.set(id, createDriveProvider({ id, label: shared.name, accountId: shared.accountId, driveId: shared.driveId }));
+    });
+    others.forEach(provider => storageProviders.set(provider.id, provider));
+}
+
+function takeAccountLinkState(state) {
+    const match = /^account:([a-f0-9]{32})$/.exec(state || '');
+    const expires = match && accountLinkStates.get(match[1]);
+    if (!expires) return false;
+    
+    accountLinkStates.delete(match[1]);
+    return expires > Date.now();
+}
+
+// Store the token from an "Add account" consent; the same Google user again only refreshes it
+async function saveLinkedAccount(tokens, username) {
+    const auth = getOAuth2Client();
+    auth.setCredentials(tokens);
+    const about = await google.drive({ version: 'v3', auth }).about.get({ fields: 'user(emailAddress, displayName)' });
+    const { emailAddress, displayName } = about.data.user;
+    
+    const account = await driveAccountsStore.update(data => {
+        const existing = Object.values(data.accounts).find(account => account.email === emailAddress);
+        if (existing) {
+            existing.token = { ...tokens, refresh_token: tokens.refresh_token || (existing.token && existing.token.refresh_token) };
+            return existing;
+        }
+        
+        const added = {
+            id: crypto.randomBytes(4).toString('hex'),
+            email: emailAddress,
+            name: displayName || emailAddress,
+            token: tokens,
+            addedBy: username,
+            addedAt: new Date().toISOString()
+        };
+        data.accounts[added.id] = added;
+        return added;
+    });
+    
+    await refreshDriveSources();
+    console.log(`Drive account ${account.email} linked by ${username}`);
+    return account;
+}
+
+// Account as the admin page sees it (never the token)
+function publicAccount(account, sharedDrives) {
+    return {
+        id: account.id,
+        source: account.id === DEFAULT_DRIVE_ACCOUNT ? 'drive' : `drive-${account.id}`,
+        email: account.email,
+        name: account.name,
+        connected: !!account.token,
+        addedBy: account.addedBy || null,
+        addedAt: account.addedAt || null,
+        sharedDrives: Object.values(sharedDrives)
+            .filter(shared => shared.accountId === account.id)
+            .map(shared => ({ id: shared.id, source: `shared-${shared.id}`, driveId: shared.driveId, name: shared.name }))
+    };
+}
+
+// API: Connected Google accounts and the shared drives added from them (admin)
+app.get('/api/drive-accounts', requireAdmin, async (req, res) => {
+    try {
+        const { accounts, sharedDrives } = await driveAccountsStore.read();
+        
+        // The token.json account has no record of its own; ask Drive who it is
+        const primary = { id: DEFAULT_DRIVE_ACCOUNT, email: null, name: 'Google Drive', token: null };
+        try {
+            const { drive } = await storageProviders.get('drive').getDrive();
+            const about = await drive.about.get({ fields: 'user(emailAddress, displayName)' });
+            primary.email = about.data.user.emailAddress;
+            primary.name = about.data.user.displayName || primary.email;
+            primary.token = true;
+        } catch (error) {
+            console.log('Primary Drive account not available:', error.message);
+        }
+        
+        res.json({
+            success: true,
+            accounts: [primary, ...Object.values(accounts)].map(account => publicAccount(account, sharedDrives))
+        });
+    } catch (error) {
+        console.error('Error listing Drive accounts:', error);
+        res.status(500).json({ success: false, error: 'Failed to list accounts', message: error.message });
+    }
+});
+
+// API: Start connecting another Google account - returns the consent URL (admin)
+app.post('/api/drive-accounts', requireAdmin, (req, res) => {
+    try {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        accountLinkStates.set(nonce, Date.now() + ACCOUNT_LINK_TTL);
+        
+        res.json({ success: true, authUrl: generateAuthUrl(`account:${nonce}`) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: 'Cannot start Google sign-in', message: error.message });
+    }
+});
+
+// API: Disconnect an added account and drop its shared drives (admin)
+app.delete('/api/drive-accounts/:id', requireAdmin, async (req, res) => {
+    const accountId = req.params.id;
+    
+    if (accountId === DEFAULT_DRIVE_ACCOUNT) {
+        return res.status(400).json({ success: false, error: 'Use "Disconnect Google Drive" for the first account' });
+    }
+    
+    try {
+        const account = await driveAccountsStore.update(data => {
+            const removed = data.accounts[accountId];
+            if (!removed) return null;
+            
+            delete data.accounts[accountId];
+            Object.values(data.sharedDrives)
+                .filter(shared => shared.accountId === accountId)
+                .forEach(shared => delete data.sharedDrives[shared.id]);
+            return removed;
+        });
+        
+        if (!account) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+        
+        if (account.token) {
+            const auth = getOAuth2Client();
+            auth.setCredentials(account.token);
+            await auth.revokeCredentials().catch(error => console.log('Could not revoke Google token:', error.message));
+        }
+        
+        await refreshDriveSources();
+        videoCache.clear();
+        
+        console.log(`Drive account ${account.email} removed by ${req.user.username}`);
+        recordAudit(req, 'drive.revoke', { account: account.email });
+        res.json({ success: true, message: `${account.email} disconnected` });
+    } catch (error) {
+        console.error('Error removing Drive account:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove account', message: error.message });
+    }
+});
+
+// API: Shared drives an account can see, marking the ones already in the library (admin)
+app.get('/api/drive-accounts/:id/shared-drives', requireAdmin, async (req, res) => {
+    const accountId = req.params.id;
+    
+    if (!isValidAccountId(accountId)) {
+        return res.status(400).json({ success: false, error: 'Invalid account ID' });
+    }
+    
+    try {
+        const auth = await getAuthenticatedClient(accountId);
+        const drive = google.drive({ version: 'v3', auth });
+        const { sharedDrives } = await driveAccountsStore.read();
+        
+        let drives = [];
+        let pageToken;
+        do {
+            const response = await drive.drives.list({ pageSize: 100, pageToken: pageToken, fields: 'nextPageToken, drives(id, name)' });
+            drives = drives.concat(response.data.drives || []);
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        
+        res.json({
+            success: true,
+            drives: drives.map(shared => {
+                const added = Object.values(sharedDrives).find(entry => entry.driveId === shared.id && entry.accountId === accountId);
+                return {
+                    driveId: shared.id,
+                    name: shared.name,
+                    id: added ? added.id : null,
+                    source: added ? `shared-${added.id}` : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error listing shared drives:', error.message);
+        await sendDriveError(res, error, 'Failed to list shared drives');
+    }
+});
+
+// API: Add a shared drive to the library ({ driveId }) (admin)
+app.post('/api/drive-accounts/:id/shared-drives', requireAdmin, async (req, res) => {
+    const accountId = req.params.id;
+    const driveId = req.body && req.body.driveId;
+    
+    if (!isValidAccountId(accountId) || !driveId || !isValidDriveId(driveId)) {
+        return res.status(400).json({ success: false, error: 'Invalid account or shared drive ID' });
+    }
+    
+    try {
+        // Proves the account can read it, and gives us the name for the source badge
+        const auth = await getAuthenticatedClient(accountId);
+        const drive = google.drive({ version: 'v3', auth });
+        const info = (await drive.drives.get({ driveId: driveId, fields: 'id, name' })).data;
+        
+        const result = await driveAccountsStore.update(data => {
+            if (accountId !== DEFAULT_DRIVE_ACCOUNT && !data.accounts[accountId]) {
+                return { status: 404, error: 'Account not found' };
+            }
+            if (Object.values(data.sharedDrives).some(shared => shared.driveId === driveId)) {
+                return { status: 409, error: 'That shared drive is already in the library' };
+            }
+            
+            const shared = {
+                id: crypto.randomBytes(4).toString('hex'),
+                accountId: accountId,
+                driveId: info.id,
+                name: info.name,
+                addedBy: req.user.username,
+                addedAt: new Date().toISOString()
+            };
+            data.sharedDrives[shared.id] = shared;
+            return { shared };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        await refreshDriveSources();
+        syncLibraryIndex().catch(error => console.error('Library index sync failed:', error.message));
+        
+        console.log(`Shared drive "${info.name}" added by ${req.user.username}`);
+        res.status(201).json({ success: true, sharedDrive: { id: result.shared.id, source: `shared-${result.shared.id}`, driveId: info.id, name: info.name } });
+    } catch (error) {
+        console.error('Error adding shared drive:', error.message);
+        await sendDriveError(res, error, 'Failed to add shared drive');
+    }
+});
+
+// API: Remove a shared drive from the library (admin)
+app.delete('/api/shared-drives/:id', requireAdmin, async (req, res) => {
+    try {
+        const removed = await driveAccountsStore.update(data => {
+            const shared = data.sharedDrives[req.params.id];
+            delete data.sharedDrives[req.params.id];
+            return shared;
+        });
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Shared drive not found' });
+        }
+        
+        await refreshDriveSources();
+        res.json({ success: true, message: `${removed.name} removed from the library` });
+    } catch (error) {
+        console.error('Error removing shared drive:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove shared drive', message: error.message });
+    }
+});
+
+refreshDriveSources()
+    .then(() => syncLibraryIndex())
+    .catch(error => console.error('Could not load Drive accounts:', error.message));
+
+// ==================== LIBRARY INDEX ====================
+// Every Drive source's videos are kept in library-index.json and refreshed in the
+// background with the Changes API, so /api/videos answers without calling Drive
+// (and keeps answering while Drive is unreachable).
+// { sources: { [sourceId]: { version, pageToken, syncedAt, files: { [videoId]: mapped video } } } }
+const libraryIndexStore = createJsonStore('./library-index.json', { sources: {} });
+
+// Bumped whenever mapVideoFile changes shape, so older indexes are rescanned
+const LIBRARY_INDEX_VERSION = 2;
+const LIBRARY_SYNC_INTERVAL = (Number(process.env.LIBRARY_SYNC_SECONDS) || 60) * 1000;
+
+const librarySyncStatus = new Map(); // sourceId -> { lastRun, lastError }
+let librarySyncRun = null;
+
+// The indexed videos of a source, or null until its first full scan has finished
+async function getIndexedVideos(sourceId) {
+    const entry = (await libraryIndexStore.read()).sources[sourceId];
+    return entry && entry.pageToken ? Object.values(entry.files) : null;
+}
+
+function isIndexableVideo(file) {
+    return !!file && !file.trashed && typeof file.mimeType === 'string' && file.mimeType.startsWith('video/');
+}
+
+// files.list / changes.list arguments that keep a source to its own corpus
+function getSyncScope(provider) {
+    return provider.driveId
+        ? { corpora: 'drive', driveId: provider.driveId, includeItemsFromAllDrives: true, supportsAllDrives: true }
+        : { corpora: 'user', supportsAllDrives: true };
+}
+
+// Full scan. The change token is taken first so edits made during the scan are replayed later.
+async function buildSourceIndex(provider) {
+    const { drive } = await provider.getDrive();
+    const { corpora, ...scope } = getSyncScope(provider);
+    
+    const startPageToken = (await drive.changes.getStartPageToken({
+        driveId: scope.driveId,
+        supportsAllDrives: true
+    })).data.startPageToken;
+    
+    const files = {};
+    let pageToken;
+    do {
+        const response = await drive.files.list({
+            q: "mimeType contains 'video/' and trashed = false",
+            fields: `nextPageToken, files(${VIDEO_FILE_FIELDS})`,
+            pageSize: 1000,
+            pageToken: pageToken,
+            corpora: corpora,
+            ...scope
+        });
+        
+        response.data.files.forEach(file => {
+            const video = mapVideoFile(provider.toFile(file));
+            files[video.id] = video;
+        });
+        pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    
+    await libraryIndexStore.update(index => {
+        index.sources[provider.id] = {
+            version: LIBRARY_INDEX_VERSION,
+            pageToken: startPageToken,
+            syncedAt: new Date().toISOString(),
+            files
+        };
+    });
+    
+    console.log(`Library index: ${provider.label} scanned, ${Object.keys(files).length} videos`);
+}
+
+// Replay everything that changed since the stored token
+async function applySourceChanges(provider, entry) {
+    const { drive } = await provider.getDrive();
+    const { corpora, ...scope } = getSyncScope(provider);
+    
+    const changed = new Map(); // videoId -> mapped video, or null when it is gone
+    let pageToken = entry.pageToken;
+    let newStartPageToken = null;
+    
+    while (pageToken) {
+        const response = await drive.changes.list({
+            pageToken: pageToken,
+            pageSize: 1000,
+            fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${VIDEO_FILE_FIELDS}, trashed))`,
+            includeRemoved: true,
+            ...scope
+        });
+        
+        (response.data.changes || []).forEach(change => {
+            const videoId = provider.toFile({ id: change.fileId }).id;
+            changed.set(videoId, !change.removed && isIndexableVideo(change.file)
+                ? mapVideoFile(provider.toFile(change.file))
+                : null);
+        });
+        
+        pageToken = response.data.nextPageToken;
+        newStartPageToken = response.data.newStartPageToken || newStartPageToken;
+    }
+    
+    // Quiet minutes leave the file alone
+    if (!changed.size && (!newStartPageToken || newStartPageToken === entry.pageToken)) {
+        return;
+    }
+    
+    await libraryIndexStore.update(index => {
+        const current = index.sources[provider.id];
+        if (!current) return;
+        
+        changed.forEach((video, videoId) => {
+            if (video) {
+                current.files[videoId] = video;
+            } else {
+                delete current.files[videoId];
+            }
+        });
+        current.pageToken = newStartPageToken || current.pageToken;
+        current.syncedAt = new Date().toISOString();
+    });
+    
+    if (changed.size) {
+        console.log(`Library index: ${changed.size} changes from ${provider.label}`);
+    }
+}
+
+async function runLibrarySync({ full = false } = {}) {
+    // Sources that were removed take their entries with them
+    const stale = Object.keys((await libraryIndexStore.read()).sources).filter(id => !storageProviders.has(id));
+    if (stale.length) {
+        await libraryIndexStore.update(index => stale.forEach(id => delete index.sources[id]));
+    }
+    
+    const providers = [...storageProviders.values()].filter(provider => provider.type === 'drive');
+    for (const provider of providers) {
+        // Accounts waiting to be connected are skipped quietly until they are
+        const hasToken = await readDriveToken(provider.accountId).then(token => !!token, () => false);
+        if (!hasToken) continue;
+        
+        const previous = librarySyncStatus.get(provider.id);
+        try {
+            const entry = (await libraryIndexStore.read()).sources[provider.id];
+            
+            if (full || !entry || !entry.pageToken || entry.version !== LIBRARY_INDEX_VERSION) {
+                await buildSourceIndex(provider);
+            } else {
+                try {
+                    await applySourceChanges(provider, entry);
+                } catch (error) {
+                    // Change tokens expire after long outages; start over from a full scan
+                    if (![400, 404].includes(Number(error.code))) throw error;
+                    console.log(`Library index: change token for ${provider.label} rejected, rescanning`);
+                    await buildSourceIndex(provider);
+                }
+            }
+            
+            librarySyncStatus.set(provider.id, { lastRun: new Date().toISOString(), lastError: null });
+        } catch (error) {
+            if (!previous || previous.lastError !== error.message) {
+                console.error(`Library index: sync of ${provider.label} failed:`, error.message);
+            }
+            librarySyncStatus.set(provider.id, { lastRun: new Date().toISOString(), lastError: error.message });
+        }
+    }
+}
+
+// One sync at a time; callers during a run wait for that run
+function syncLibraryIndex(options = {}) {
+    if (!librarySyncRun) {
+        librarySyncRun = runLibrarySync(options).finally(() => {
+            librarySyncRun = null;
+        });
+    }
+    return librarySyncRun;
+}
+
+// Drop a source's entries, e.g. when its account is swapped for another Google user
+async function forgetIndexedSource(sourceId) {
+    await libraryIndexStore.update(index => {
+        delete index.sources[sourceId];
+    });
+}
+
+// Put one video into (or, with null, take it out of) a source's index right away,
+// for changes made from Sparrow itself that the next sync would otherwise catch up on
+async function updateIndexedVideo(sourceId, videoId, video) {
+    await libraryIndexStore.update(index => {
+        const entry = index.sources[sourceId];
+        if (!entry || !entry.pageToken) return;
+        
+        if (video) {
+            entry.files[videoId] = video;
+        } else {
+            delete entry.files[videoId];
+        }
+    });
+}
+
+setInterval(() => {
+    syncLibraryIndex().catch(error => console.error('Library index sync failed:', error.message));
+}, LIBRARY_SYNC_INTERVAL).unref();
+
+async function getLibraryIndexStatus() {
+    const { sources } = await libraryIndexStore.read();
+    
+    return [...storageProviders.values()]
+        .filter(provider => provider.type === 'drive')
+        .map(provider => {
+            const entry = sources[provider.id];
+            const status = librarySyncStatus.get(provider.id) || {};
+            return {
+                source: provider.id,
+                label: provider.label,
+                videos: entry && entry.pageToken ? Object.keys(entry.files).length : null,
+                syncedAt: entry ? entry.syncedAt : null,
+                lastRun: status.lastRun || null,
+                lastError: status.lastError || null
+            };
+        });
+}
+
+// API: Index size and last sync per Drive source (admin)
+app.get('/api/library/status', requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            syncing: !!librarySyncRun,
+            intervalSeconds: LIBRARY_SYNC_INTERVAL / 1000,
+            sources: await getLibraryIndexStatus()
+        });
+    } catch (error) {
+        console.error('Error reading library index:', error);
+        res.status(500).json({ success: false, error: 'Failed to read library index', message: error.message });
+    }
+});
+
+// API: Sync the index now; ?full=1 rescans every source instead of replaying changes (admin)
+app.post('/api/library/sync', requireAdmin, async (req, res) => {
+    try {
+        // A run already in progress is waited for rather than doubled up
+        if (librarySyncRun) await librarySyncRun;
+        await syncLibraryIndex({ full: req.query.full === '1' });
+        
+        res.json({ success: true, sources: await getLibraryIndexStatus() });
+    } catch (error) {
+        console.error('Error syncing library index:', error);
+        res.status(500).json({ success: false, error: 'Library sync failed', message: error.message });
+    }
+});
+
+// ==================== UPLOADS ====================
+// Admins upload videos into a Drive folder from the library. The browser sends the
+// file in chunks to /api/upload/:id and the server relays each one into a Drive
+// resumable upload session, so the Drive token never leaves the server.
+// Needs DRIVE_WRITE_ACCESS=true (see GOOGLE DRIVE SETUP).
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+// Drive wants every chunk but the last to be a multiple of 256 KiB
+const UPLOAD_CHUNK_ALIGNMENT = 256 * 1024;
+const UPLOAD_CHUNK_SIZE = 32 * UPLOAD_CHUNK_ALIGNMENT; // 8 MiB
+const UPLOAD_CHUNK_RETRIES = 4;
+// Drive keeps a session for a week; one nobody has touched for a day is forgotten here
+const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000;
+
+const uploads = new Map(); // uploadId -> { id, sessionUrl, source, folderId, name, mimeType, size, received, owner, busy, createdAt, updatedAt }
+
+// Routes that change files in Drive answer 403 until write access is turned on
+function requireDriveWriteAccess(req, res, next) {
+    if (!DRIVE_WRITE_ACCESS) {
+        return res.status(403).json({
+            success: false,
+            error: 'Drive write access is turned off',
+            message: 'Set DRIVE_WRITE_ACCESS=true and reconnect Google Drive to change files from Sparrow'
+        });
+    }
+    next();
+}
+
+function publicUpload(upload) {
+    const { sessionUrl, busy, ...rest } = upload;
+    return { ...rest, chunkSize: UPLOAD_CHUNK_SIZE };
+}
+
+// Browsers leave the type empty for some containers (MKV on most systems); go by extension then
+function getUploadMimeType(name, mimeType) {
+    if (typeof mimeType === 'string' && mimeType.startsWith('video/')) return mimeType;
+    return VIDEO_MIME_TYPES[getFileExtension(name)] || null;
+}
+
+async function getUploadToken(provider) {
+    const { auth } = await provider.getDrive();
+    const { token } = await auth.getAccessToken();
+    if (!token) {
+        throw new Error('Not authenticated');
+    }
+    return token;
+}
+
+function createUploadError(response, message) {
+    const error = new Error(`${message}: ${response.status} ${response.statusText}`);
+    error.code = response.status;
+    return error;
+}
+
+// Drive answers 308 with "Range: bytes=0-<last byte it has>" (no Range before the first byte)
+function readUploadOffset(response) {
+    const match = /bytes=0-(\d+)/.exec(response.headers.get('range') || '');
+    return match ? Number(match[1]) + 1 : 0;
+}
+
+// Returns the session URL every chunk is then PUT to
+async function createUploadSession(provider, { name, mimeType, size, folderId }) {
+    const fields = encodeURIComponent(VIDEO_FILE_FIELDS);
+    const response = await fetch(`${DRIVE_UPLOAD_URL}?uploadType=resumable&supportsAllDrives=true&fields=${fields}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${await getUploadToken(provider)}`,
+            'Content-Type': 'application/json; charset=UTF-8',
+            'X-Upload-Content-Type': mimeType,
+            'X-Upload-Content-Length': String(size)
+        },
+        body: JSON.stringify({ name, mimeType, parents: [folderId] })
+    });
+    
+    if (!response.ok) {
+        throw createUploadError(response, 'Could not start the Drive upload');
+    }
+    return response.headers.get('location');
+}
+
+// -> { received } while bytes are missing, { file } once Drive has all of them
+async function readUploadResponse(response) {
+    if (response.status === 308) {
+        return { received: readUploadOffset(response) };
+    }
+    if (response.status === 200 || response.status === 201) {
+        return { file: await response.json() };
+    }
+    // 404 and 410 mean the session is gone and the upload has to start over
+    throw createUploadError(response, 'Drive rejected the upload');
+}
+
+// How far Drive got, asked with an empty PUT
+async function queryUploadStatus(upload, provider) {
+    const response = await fetch(upload.sessionUrl, {
+        method: 'PUT',
+        headers: {
+            'Authorization': `Bearer ${await getUploadToken(provider)}`,
+            'Content-Range': `bytes */${upload.size}`
+        }
+    });
+    return readUploadResponse(response);
+}
+
+// Relay one chunk starting at byte `start`. Network errors and Drive 5xx are retried
+// with backoff; each retry asks Drive what it already has and only resends the rest.
+async function sendUploadChunk(upload, provider, chunk, start) {
+    let offset = start;
+    
+    for (let attempt = 0; ; attempt++) {
+        const token = await getUploadToken(provider);
+        try {
+            const response = await fetch(upload.sessionUrl, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Range': `bytes ${offset}-${start + chunk.length - 1}/${upload.size}`
+                },
+                body: chunk.subarray(offset - start)
+            });
+            return await readUploadResponse(response);
+        } catch (error) {
+            const status = Number(error.code);
+            const retryable = !status || status >= 500 || status === 429;
+            if (!retryable || attempt >= UPLOAD_CHUNK_RETRIES) throw error;
+            
+            console.log(`Upload ${upload.id}: chunk at ${offset} failed (${error.message}), retrying`);
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+            
+            const progress = await queryUploadStatus(upload, provider).catch(() => null);
+            if (progress && (progress.file || progress.received >= start + chunk.length)) {
+                return progress;
+            }
+            if (progress) offset = Math.max(start, progress.received);
+        }
+    }
+}
+
+function findUpload(req, res) {
+    const upload = uploads.get(req.params.id);
+    if (!upload || upload.owner !== req.user.username) {
+        res.status(404).json({ success: false, error: 'Upload not found' });
+        return null;
+    }
+    return upload;
+}
+
+// "bytes 0-8388607/52428800" -> { start, end, total }
+function parseContentRange(header) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(String(header || '').trim());
+    return match ? { start: Number(match[1]), end: Number(match[2]), total: Number(match[3]) } : null;
+}
+
+setInterval(() => {
+    const cutoff = Date.now() - UPLOAD_SESSION_TTL;
+    uploads.forEach((upload, id) => {
+        if (!upload.busy && Date.parse(upload.updatedAt) < cutoff) uploads.delete(id);
+    });
+}, 60 * 60 * 1000).unref();
+
+// API: Whether uploads are on, the chunk size and the Drive sources that take them (admin)
+app.get('/api/upload', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        enabled: DRIVE_WRITE_ACCESS,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        sources: [...storageProviders.values()]
+            .filter(provider => provider.type === 'drive')
+            .map(provider => ({ id: provider.id, label: provider.label })),
+        uploads: [...uploads.values()]
+            .filter(upload => upload.owner === req.user.username)
+            .map(publicUpload)
+    });
+});
+
+// API: Start an upload ({ name, size, mimeType, source, folderId }; folderId defaults to the top
+// of My Drive or the shared drive). The file is then sent in chunks with PUT /api/upload/:id (admin)
+app.post('/api/upload', requireAdmin, requireDriveWriteAccess, async (req, res) => {
+    const provider = storageProviders.get(req.body.source || 'drive');
+    const name = typeof req.body.name === 'string' ? path.basename(req.body.name.trim()) : '';
+    const size = Number(req.body.size);
+    const mimeType = getUploadMimeType(name, req.body.mimeType);
+    const folderId = req.body.folderId || 'root';
+    
+    if (!provider || provider.type !== 'drive') {
+        return res.status(400).json({ success: false, error: 'Videos can only be uploaded to Google Drive sources' });
+    }
+    if (!name || name.length > 255) {
+        return res.status(400).json({ success: false, error: 'File name must be 1-255 characters' });
+    }
+    if (!mimeType) {
+        return res.status(400).json({ success: false, error: 'Only video files can be uploaded' });
+    }
+    if (!Number.isSafeInteger(size) || size <= 0) {
+        return res.status(400).json({ success: false, error: 'size must be the file size in bytes' });
+    }
+    if (!isValidDriveId(folderId)) {
+        return res.status(400).json({ success: false, error: 'Invalid folder ID' });
+    }
+    
+    try {
+        const sessionUrl = await createUploadSession(provider, {
+            name,
+            mimeType,
+            size,
+            folderId: folderId === 'root' && provider.driveId ? provider.driveId : folderId
+        });
+        
+        const now = new Date().toISOString();
+        const upload = {
+            id: crypto.randomBytes(4).toString('hex'),
+            sessionUrl: sessionUrl,
+            source: provider.id,
+            folderId: folderId,
+            name: name,
+            mimeType: mimeType,
+            size: size,
+            received: 0,
+            owner: req.user.username,
+            busy: false,
+            createdAt: now,
+            updatedAt: now
+        };
+        uploads.set(upload.id, upload);
+        
+        console.log(`Upload ${upload.id}: "${name}" (${formatFileSize(size)}) to ${provider.label} by ${req.user.username}`);
+        res.status(201).json({ success: true, upload: publicUpload(upload) });
+    } catch (error) {
+        console.error('Error starting upload:', error.message);
+        await sendDriveError(res, error, 'Failed to start upload');
+    }
+});
+
+// API: How many bytes Drive has, to resume after a dropped connection (admin)
+app.get('/api/upload/:id', requireAdmin, async (req, res) => {
+    const upload = findUpload(req, res);
+    if (!upload) return;
+    
+    try {
+        if (!upload.busy) {
+            const status = await queryUploadStatus(upload, storageProviders.get(upload.source));
+            if (!status.file) upload.received = status.received;
+        }
+        res.json({ success: true, upload: publicUpload(upload) });
+    } catch (error) {
+        console.error('Error reading upload status:', error.message);
+        await sendDriveError(res, error, 'Failed to read upload status');
+    }
+});
+
+// API: One chunk of the file as the raw body, placed with a Content-Range header
+// ("bytes <first>-<last>/<size>"). Answers { upload } until the last chunk, then { video } (admin)
+app.put('/api/upload/:id', requireAdmin, express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE }), async (req, res) => {
+    const upload = findUpload(req, res);
+    if (!upload) return;
+    
+    const provider = storageProviders.get(upload.source);
+    const range = parseContentRange(req.headers['content-range']);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    
+    if (!provider) {
+        uploads.delete(upload.id);
+        return res.status(410).json({ success: false, error: 'That Drive source has been removed' });
+    }
+    if (!range || range.total !== upload.size || range.end - range.start + 1 !== chunk.length || range.end >= upload.size) {
+        return res.status(400).json({ success: false, error: 'Content-Range does not match the chunk' });
+    }
+    if (range.end + 1 < upload.size && chunk.length % UPLOAD_CHUNK_ALIGNMENT !== 0) {
+        return res.status(400).json({ success: false, error: `Chunks must be a multiple of ${UPLOAD_CHUNK_ALIGNMENT} bytes` });
+    }
+    // Chunks go in order, one at a time; the client resumes from `received`
+    if (upload.busy || range.start !== upload.received) {
+        return res.status(409).json({ success: false, error: 'Chunk is out of order', upload: publicUpload(upload) });
+    }
+    
+    upload.busy = true;
+    try {
+        const result = await sendUploadChunk(upload, provider, chunk, range.start);
+        upload.updatedAt = new Date().toISOString();
+        
+        if (!result.file) {
+            upload.received = result.received;
+            return res.json({ success: true, upload: publicUpload(upload) });
+        }
+        
+        uploads.delete(upload.id);
+        const video = mapVideoFile(provider.toFile(result.file));
+        await updateIndexedVideo(provider.id, video.id, video);
+        
+        console.log(`Upload ${upload.id}: "${upload.name}" finished as ${video.id}`);
+        recordAudit(req, 'video.upload', { videoId: video.id, title: video.title, size: upload.size });
+        const withMetadata = await createMetadataDecorator(req.user.username);
+        res.status(201).json({ success: true, video: withMetadata(video) });
+    } catch (error) {
+        console.error(`Upload ${upload.id}: chunk failed:`, error.message);
+        if ([404, 410].includes(Number(error.code))) {
+            uploads.delete(upload.id);
+            return res.status(410).json({ success: false, error: 'The upload expired, please start it again', message: error.message });
+        }
+        await sendDriveError(res, error, 'Failed to upload chunk');
+    } finally {
+        upload.busy = false;
+    }
+});
+
+// API: Cancel an upload; Drive throws away what it has received (admin)
+app.delete('/api/upload/:id', requireAdmin, async (req, res) => {
+    const upload = findUpload(req, res);
+    if (!upload) return;
+    
+    uploads.delete(upload.id);
+    try {
+        await fetch(upload.sessionUrl, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${await getUploadToken(storageProviders.get(upload.source))}` }
+        });
+    } catch (error) {
+        // Abandoned sessions expire on their own
+        console.log(`Upload ${upload.id}: could not cancel the Drive session:`, error.message);
+    }
+    
+    console.log(`Upload ${upload.id}: cancelled by ${req.user.username}`);
+    res.json({ success: true, message: 'Upload cancelled' });
+});
+
+// ==================== LIBRARY MANAGEMENT ====================
+// Rename, move, trash and restore Drive videos without leaving Sparrow (admins,
+// DRIVE_WRITE_ACCESS). Every change goes into the library index straight away and
+// drops whatever was cached about the file.
+const BULK_ACTIONS = ['move', 'trash', 'restore'];
+const BULK_AUDIT_ACTIONS = { move: 'video.edit', trash: 'video.trash', restore: 'video.restore' };
+const MAX_BULK_VIDEOS = 100;
+const MAX_FILE_NAME_LENGTH = 255;
+
+// Why a video cannot be changed from here, or null when it can
+function checkManagedVideo(videoId) {
+    if (!isValidVideoId(videoId)) return 'Invalid video ID';
+    if (resolveVideoId(videoId).provider.type !== 'drive') {
+        return 'Only Google Drive videos can be renamed, moved or trashed';
+    }
+    return null;
+}
+
+function forgetCachedVideo(videoId) {
+    videoCache.delete(videoId);
+    fileInfoCache.delete(videoId);
+}
+
+// files.update, then the index and caches follow the file's new state
+async function updateDriveVideo(videoId, requestBody, options = {}) {
+    const { provider, fileId } = resolveVideoId(videoId);
+    const { drive } = await provider.getDrive();
+    
+    const response = await drive.files.update({
+        fileId: fileId,
+        supportsAllDrives: true,
+        fields: `${VIDEO_FILE_FIELDS}, trashed`,
+        requestBody: requestBody,
+        ...options
+    });
+    
+    const video = mapVideoFile(provider.toFile(response.data));
+    forgetCachedVideo(videoId);
+    await updateIndexedVideo(provider.id, videoId, isIndexableVideo(response.data) ? video : null);
+    return video;
+}
+
+// Drive keeps a file's folders in parents; moving swaps all of them for the new one
+async function moveDriveVideo(videoId, folderId, requestBody = {}) {
+    const { provider, fileId } = resolveVideoId(videoId);
+    const file = await provider.getFile(fileId);
+    const target = folderId === 'root' && provider.driveId ? provider.driveId : folderId;
+    const parents = file.parents || [];
+    
+    if (parents.length === 1 && parents[0] === target) {
+        return updateDriveVideo(videoId, requestBody);
+    }
+    return updateDriveVideo(videoId, requestBody, {
+        addParents: target,
+        removeParents: parents.filter(parent => parent !== target).join(',') || undefined
+    });
+}
+
+// { name, folderId, description } from a request body -> { changes } or { error }
+function readVideoChanges(body) {
+    const changes = {};
+    
+    if (body.name !== undefined) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > MAX_FILE_NAME_LENGTH) {
+            return { error: `Names must be 1-${MAX_FILE_NAME_LENGTH} characters` };
+        }
+        changes.name = name;
+    }
+    if (body.folderId !== undefined) {
+        if (typeof body.folderId !== 'string' || !isValidDriveId(body.folderId)) return { error: 'Invalid folder ID' };
+        changes.folderId = body.folderId;
+    }
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `Descriptions are text of up to ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        changes.description = body.description.trim();
+    }
+    
+    if (!Object.keys(changes).length) {
+        return { error: 'Nothing to change (name, folderId or description)' };
+    }
+    return { changes };
+}
+
+function trashDriveVideo(videoId) {
+    return updateDriveVideo(videoId, { trashed: true });
+}
+
+function restoreDriveVideo(videoId) {
+    return updateDriveVideo(videoId, { trashed: false });
+}
+
+// Trash is not indexed, so it is read page by page, newest first, up to
+// MAX_FILTER_PAGES pages -> { videos, truncated }
+async function listTrashedVideos(provider) {
+    const { drive } = await provider.getDrive();
+    const { corpora, ...scope } = getSyncScope(provider);
+    let files = [];
+    let pageToken = null;
+    let pagesRead = 0;
+    
+    do {
+        const response = await drive.files.list({
+            q: "mimeType contains 'video/' and trashed = true",
+            fields: `nextPageToken, files(${VIDEO_FILE_FIELDS})`,
+            orderBy: 'modifiedTime desc',
+            pageSize: 1000,
+            pageToken: pageToken || undefined,
+            corpora: corpora,
+            ...scope
+        });
+        files = files.concat(response.data.files);
+        pageToken = response.data.nextPageToken || null;
+        pagesRead++;
+    } while (pageToken && pagesRead < MAX_FILTER_PAGES);
+    
+    return { videos: files.map(file => mapVideoFile(provider.toFile(file))), truncated: !!pageToken };
+}
+
+// API: Rename a video, move it to another folder ("root" for the top) and/or change its
+// description ({ name, folderId, description }). The description is the library's shared
+// one (see VIDEO METADATA) and is written into the Drive file as well (admin)
+app.patch('/api/video/:id', requireAdmin, requireDriveWriteAccess, async (req, res) => {
+    const videoId = req.params.id;
+    const invalid = checkManagedVideo(videoId);
+    const { changes, error } = readVideoChanges(req.body || {});
+    
+    if (invalid || error) {
+        return res.status(400).json({ success: false, error: invalid || error });
+    }
+    
+    try {
+        const requestBody = {};
+        if (changes.name !== undefined) requestBody.name = changes.name;
+        if (changes.description !== undefined) requestBody.description = changes.description;
+        
+        const video = changes.folderId !== undefined
+            ? await moveDriveVideo(videoId, changes.folderId, requestBody)
+            : await updateDriveVideo(videoId, requestBody);
+        
+        if (changes.description !== undefined) {
+            await updateVideoMetadata(videoId, req.user.username, { description: changes.description });
+        }
+        
+        console.log(`Video ${videoId} changed by ${req.user.username}: ${Object.keys(changes).join(', ')}`);
+        recordAudit(req, 'video.edit', { videoId, title: video.title, changed: Object.keys(changes).join(', '), folderId: changes.folderId });
+        const withMetadata = await createMetadataDecorator(req.user.username);
+        res.json({ success: true, video: withMetadata(video) });
+    } catch (error) {
+        console.error('Error changing video:', error.message);
+        await sendDriveError(res, error, 'Failed to change video');
+    }
+});
+
+// API: Move a video to the Drive trash; it can be restored from the Trash view (admin)
+app.delete('/api/video/:id', requireAdmin, requireDriveWriteAccess, async (req, res) => {
+    const videoId = req.params.id;
+    const invalid = checkManagedVideo(videoId);
+    
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    try {
+        const video = await trashDriveVideo(videoId);
+        console.log(`Video ${videoId} trashed by ${req.user.username}`);
+        recordAudit(req, 'video.trash', { videoId, title: video.title });
+        res.json({ success: true, message: 'Moved to trash' });
+    } catch (error) {
+        console.error('Error trashing video:', error.message);
+        await sendDriveError(res, error, 'Failed to move video to trash');
+    }
+});
+
+// API: Take a video back out of the trash (admin)
+app.post('/api/video/:id/restore', requireAdmin, requireDriveWriteAccess, async (req, res) => {
+    const videoId = req.params.id;
+    const invalid = checkManagedVideo(videoId);
+    
+    if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    try {
+        const video = await restoreDriveVideo(videoId);
+        console.log(`Video ${videoId} restored by ${req.user.username}`);
+        recordAudit(req, 'video.restore', { videoId, title: video.title });
+        const withMetadata = await createMetadataDecorator(req.user.username);
+        res.json({ success: true, video: withMetadata(video) });
+    } catch (error) {
+        console.error('Error restoring video:', error.message);
+        await sendDriveError(res, error, 'Failed to restore video');
+    }
+});
+
+// API: Trashed videos in every Drive source, or the one picked with ?source= (admin)
+app.get('/api/trash', requireAdmin, async (req, res) => {
+    let sources;
+    try {
+        sources = parseSourceFilter(req.query.source).filter(provider => provider.type === 'drive');
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+    
+    let videos = [];
+    let truncated = false;
+    const sourceErrors = [];
+    
+    try {
+        const withMetadata = await createMetadataDecorator(req.user.username);
+        
+        for (const provider of sources) {
+            try {
+                const trash = await listTrashedVideos(provider);
+                videos = videos.concat(trash.videos.map(withMetadata));
+                truncated = truncated || trash.truncated;
+            } catch (error) {
+                if (sources.length === 1) throw error;
+                console.error(`Error listing trash of ${provider.id}:`, error.message);
+                sourceErrors.push({ source: provider.id, message: error.message });
+            }
+        }
+        
+        res.json({
+            success: true,
+            videos: videos,
+            count: videos.length,
+            truncated: truncated || undefined,
+            sourceErrors: sourceErrors.length ? sourceErrors : undefined
+        });
+    } catch (error) {
+        console.error('Error listing trash:', error.message);
+        await sendDriveError(res, error, 'Failed to load trash');
+    }
+});
+
+// API: The same change for many videos ({ action: move|trash|restore, ids, folderId }).
+// Videos are done one by one and each gets its own result, so one failure does not stop the rest (admin)
+app.post('/api/videos/bulk', requireAdmin, requireDriveWriteAccess, async (req, res) => {
+    const { action, ids, folderId } = req.body || {};
+    
+    if (!BULK_ACTIONS.includes(action)) {
+        return res.status(400).json({ success: false, error: `Action must be one of ${BULK_ACTIONS.join(', ')}` });
+    }
+    if (!Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_VIDEOS) {
+        return res.status(400).json({ success: false, error: `ids must list 1-${MAX_BULK_VIDEOS} videos` });
+    }
+    if (action === 'move' && (typeof folderId !== 'string' || !isValidDriveId(folderId))) {
+        return res.status(400).json({ success: false, error: 'Invalid folder ID' });
+    }
+    
+    try {
+        const withMetadata = await createMetadataDecorator(req.user.username);
+        const results = [];
+        
+        for (const videoId of [...new Set(ids.map(String))]) {
+            const invalid = checkManagedVideo(videoId);
+            if (invalid) {
+                results.push({ id: videoId, success: false, error: invalid });
+                continue;
+            }
+            
+            try {
+                const video = action === 'move'
+                    ? await moveDriveVideo(videoId, folderId)
+                    : action === 'trash' ? await trashDriveVideo(videoId) : await restoreDriveVideo(videoId);
+                results.push({ id: videoId, success: true, video: withMetadata(video) });
+                recordAudit(req, BULK_AUDIT_ACTIONS[action], { videoId, title: video.title, folderId: action === 'move' ? folderId : undefined, bulk: true });
+            } catch (error) {
+                console.error(`Bulk ${action} of ${videoId} failed:`, error.message);
+                results.push({ id: videoId, success: false, error: error.message });
+            }
+        }
+        
+        const failed = results.filter(result => !result.success).length;
+        console.log(`Bulk ${action} by ${req.user.username}: ${results.length - failed} done, ${failed} failed`);
+        res.json({ success: true, results: results, succeeded: results.length - failed, failed: failed });
+    } catch (error) {
+        console.error(`Error in bulk ${action}:`, error.message);
+        await sendDriveError(res, error, `Failed to ${action} videos`);
+    }
+});
+
+// ==================== TRANSCODING ====================
+// Files browsers cannot decode (MKV, AVI, FLV, most MOV) are piped through ffmpeg
+// into fragmented MP4. H.264/AAC streams are copied as they are; anything else is
+// re-encoded. ffmpeg reads through our own stream proxy with a signed URL.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const MAX_TRANSCODES = parseInt(process.env.MAX_TRANSCODES, 10) || 2;
+const TRANSCODE_PRESET = process.env.TRANSCODE_PRESET || 'veryfast';
+const PROBE_TIMEOUT = 30 * 1000;
+const activeTranscodes = new Set();
+const probeCache = new Map();
+
+// Run a command to completion and resolve with its stdout (a Buffer when binary is set)
+function runCommand(command, args, timeout, binary = false) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+        const stdout = [];
+        let stderr = '';
+        
+        child.stdout.on('data', chunk => { stdout.push(chunk); });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code === 0) return resolve(binary ? Buffer.concat(stdout) : Buffer.concat(stdout).toString());
+            reject(new Error(`${path.basename(command)} failed (${code === null ? 'timed out' : 'exit ' + code}): ${stderr.trim().split('\n').pop() || ''}`));
+        });
+    });
+}
+
+// ffmpeg/ffprobe input for a video - a short-lived signed URL on this server
+async function getLocalStreamUrl(videoId) {
+    return `http://127.0.0.1:${PORT}${await signStreamUrl(videoId, 24 * 60 * 60, { internal: 1 })}`;
+}
+
+// A JPEG frame from ten seconds in (or the start of shorter videos), for sources without thumbnails
+async function grabThumbnailFrame(videoId) {
+    const probe = await probeVideo(videoId);
+    const seek = probe.duration && probe.duration < 20 ? 0 : 10;
+    
+    return runCommand(FFMPEG_PATH, [
+        '-v', 'error',
+        '-ss', String(seek),
+        '-i', await getLocalStreamUrl(videoId),
+        '-frames:v', '1',
+        '-vf', `scale=${THUMBNAIL_SIZE}:-2`,
+        '-f', 'image2',
+        '-c:v', 'mjpeg',
+        'pipe:1'
+    ], PROBE_TIMEOUT, true);
+}
+
+// Subtitle codecs ffmpeg can turn into WebVTT (PGS/VobSub are pictures, not text)
+const TEXT_SUBTITLE_CODECS = ['subrip', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// What probeVideo already knows about a file, without running ffprobe
+function getCachedProbe(videoId) {
+    const cached = probeCache.get(videoId);
+    return cached && (Date.now() - cached.timestamp) < CACHE_DURATION ? cached.data : null;
+}
+
+// Drive's media metadata first; local and S3 files only have what ffprobe found.
+// tracks stays null until there is a probe.
+function getProbeDetails(video, probe) {
+    const durationSeconds = video.durationSeconds || (probe && probe.duration ? Math.round(probe.duration) : null);
+    const width = video.width || (probe && probe.width) || null;
+    const height = video.height || (probe && probe.height) || null;
+    
+    return {
+        duration: durationSeconds ? formatDuration(durationSeconds) : 'Unknown',
+        durationSeconds: durationSeconds,
+        width: width,
+        height: height,
+        resolution: getResolutionClass(width, height),
+        tracks: probe ? { audio: probe.audioTracks, subtitles: probe.subtitleTracks } : null
+    };
+}
+
+// Codecs, duration and audio/subtitle tracks of a file, cached like the video details
+async function probeVideo(videoId) {
+    const cached = getCachedProbe(videoId);
+    if (cached) return cached;
+    
+    const output = await runCommand(FFPROBE_PATH, [
+        '-v', 'error',
+        '-show_streams',
+        '-show_format',
+        '-show_chapters',
+        '-of', 'json',
+        await getLocalStreamUrl(videoId)
+    ], PROBE_TIMEOUT);
+    
+    const info = JSON.parse(output);
+    const streams = info.streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    
+    // Track numbers are per type (0:a:N, 0:s:N), which is what ffmpeg -map takes
+    const audioTracks = streams
+        .filter(stream => stream.codec_type === 'audio')
+        .map((stream, index) => ({
+            index: index,
+            codec: stream.codec_name,
+            language: stream.tags?.language || null,
+            title: stream.tags?.title || null,
+            channels: stream.channels || null,
+            default: !!stream.disposition?.default
+        }));
+    const subtitleTracks = streams
+        .filter(stream => stream.codec_type === 'subtitle')
+        .map((stream, index) => ({
+            index: index,
+            codec: stream.codec_name,
+            language: stream.tags?.language || null,
+            title: stream.tags?.title || null,
+            default: !!stream.disposition?.default,
+            forced: !!stream.disposition?.forced,
+            textBased: TEXT_SUBTITLE_CODECS.includes(stream.codec_name)
+        }));
+    
+    const data = {
+        duration: parseFloat(info.format?.duration) || null,
+        videoCodec: video ? video.codec_name : null,
+        pixelFormat: video ? video.pix_fmt : null,
+        width: video ? video.width : null,
+        height: video ? video.height : null,
+        audioCodec: audio ? audio.codec_name : null,
+        audioTracks: audioTracks,
+        subtitleTracks: subtitleTracks,
+        chapters: (info.chapters || []).map(chapter => ({
+            title: chapter.tags?.title || '',
+            start: parseFloat(chapter.start_time) || 0,
+            end: parseFloat(chapter.end_time) || null
+        }))
+    };
+    
+    probeCache.set(videoId, { data, timestamp: Date.now() });
+    return data;
+}
+
+function buildTranscodeArgs(input, probe, start, audioIndex = 0) {
+    // 10-bit H.264 is still H.264 to ffprobe, but browsers will not decode it
+    const copyVideo = probe.videoCodec === 'h264' && ['yuv420p', 'yuvj420p'].includes(probe.pixelFormat);
+    const audio = probe.audioTracks[audioIndex];
+    const copyAudio = !audio || audio.codec === 'aac';
+    const args = ['-hide_banner', '-loglevel', 'error'];
+    
+    if (start > 0) {
+        args.push('-ss', String(start));
+    }
+    
+    args.push('-i', input, '-map', '0:v:0', '-map', `0:a:${audioIndex}?`, '-sn', '-dn');
+    args.push(...(copyVideo
+        ? ['-c:v', 'copy']
+        : ['-c:v', 'libx264', '-preset', TRANSCODE_PRESET, '-crf', '23', '-pix_fmt', 'yuv420p']));
+    args.push(...(copyAudio
+        ? ['-c:a', 'copy']
+        : ['-c:a', 'aac', '-b:a', '160k', '-ac', '2']));
+    args.push('-movflags', 'frag_keyframe+empty_moov+default_base_moof', '-f', 'mp4', 'pipe:1');
+    
+    return { args, mode: copyVideo && copyAudio ? 'remux' : 'transcode' };
+}
+
+// API: Video as browser-playable fragmented MP4 (?start=<seconds>&audio=<track>)
+// The output cannot be range-requested; players seek by reloading with a new start.
+app.get('/api/transcode/:id', async (req, res) => {
+    const videoId = req.params.id;
+    const start = Math.max(0, parseFloat(req.query.start) || 0);
+    const audioIndex = parseInt(req.query.audio, 10) || 0;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    
+    let probe;
+    try {
+        probe = await probeVideo(videoId);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(501).json({ error: 'Transcoding unavailable', message: 'ffprobe is not installed on the server (set FFPROBE_PATH)' });
+        }
+        console.error(`Probe failed for ${videoId}:`, error.message);
+        return res.status(502).json({ error: 'Could not read video', message: error.message });
+    }
+    
+    if (!probe.videoCodec) {
+        return res.status(422).json({ error: 'No video stream found' });
+    }
+    if (audioIndex < 0 || (audioIndex > 0 && audioIndex >= probe.audioTracks.length)) {
+        return res.status(400).json({ error: 'Invalid audio track', message: `This file has ${probe.audioTracks.length} audio tracks` });
+    }
+    if (closed) return;
+    
+    if (activeTranscodes.size >= MAX_TRANSCODES) {
+        res.setHeader('Retry-After', '10');
+        return res.status(503).json({ error: 'Server busy', message: `Already transcoding ${activeTranscodes.size} videos, try again shortly` });
+    }
+    
+    const { args, mode } = buildTranscodeArgs(await getLocalStreamUrl(videoId), probe, start, audioIndex);
+    console.log(`Transcoding ${videoId} (${mode}, ${probe.videoCodec}/${probe.audioTracks[audioIndex]?.codec || 'no audio'}, audio track ${audioIndex}) from ${start}s`);
+    
+    const ffmpeg = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    activeTranscodes.add(ffmpeg);
+    
+    let stderr = '';
+    let finished = false;
+    ffmpeg.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    
+    const finish = (error) => {
+        if (finished) return;
+        finished = true;
+        activeTranscodes.delete(ffmpeg);
+        
+        if (closed) return;
+        if (!error) return res.end();
+        
+        console.error(`Transcode error for ${videoId}:`, error.message);
+        if (res.headersSent) return res.destroy(error);
+        
+        res.status(error.code === 'ENOENT' ? 501 : 502).json({ 
+            error: 'Transcoding failed', 
+            message: error.code === 'ENOENT' ? 'ffmpeg is not installed on the server (set FFMPEG_PATH)' : error.message 
+        });
+    };
+    
+    // Player went away (seek, quality change, closed tab) - stop burning CPU
+    res.on('close', () => {
+        if (!finished) ffmpeg.kill('SIGKILL');
+    });
+    
+    ffmpeg.on('error', finish);
+    ffmpeg.on('close', code => {
+        finish(code === 0 ? null : new Error(stderr.trim().split('\n').pop() || `ffmpeg exited with ${code}`));
+    });
+    
+    ffmpeg.stdout.once('data', () => {
+        res.setHeader('Content-Type', 'video/mp4');
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('X-Transcode-Mode', mode);
+        if (probe.duration) res.setHeader('X-Content-Duration', String(probe.duration));
+    });
+    ffmpeg.stdout.pipe(res, { end: false });
+});
+
+// API: Codec info and whether a file will be remuxed or re-encoded
+app.get('/api/transcode/:id/info', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    try {
+        const probe = await probeVideo(videoId);
+        res.json({ 
+            success: true, 
+            ...probe, 
+            mode: buildTranscodeArgs('', probe, 0).mode,
+            activeTranscodes: activeTranscodes.size,
+            maxTranscodes: MAX_TRANSCODES
+        });
+    } catch (error) {
+        res.status(error.code === 'ENOENT' ? 501 : 502).json({ 
+            success: false, 
+            error: 'Could not read video', 
+            message: error.code === 'ENOENT' ? 'ffprobe is not installed on the server' : error.message 
+        });
+    }
+});
+
+// ==================== HLS RENDITIONS ====================
+// Adaptive streaming: one ffmpeg run per video writes 1080p/720p/480p HLS
+// renditions into CACHE_DIR/hls/<id>/. Jobs start on first play (or POST) and
+// run one at a time; complete.json marks a finished set. Finished sets are kept
+// under HLS_CACHE_MAX_MB, least recently played first out (0 = no limit).
+const HLS_DIR = path.join(CACHE_DIR, 'hls');
+const HLS_SEGMENT_SECONDS = 6;
+const MAX_HLS_JOBS = parseInt(process.env.MAX_HLS_JOBS, 10) || 1;
+const HLS_CACHE_MAX_BYTES = (process.env.HLS_CACHE_MAX_MB !== undefined
+    ? Number(process.env.HLS_CACHE_MAX_MB)
+    : 10240) * 1024 * 1024;
+// Encodes are expensive; viewers can start this many per hour, admins any number
+const HLS_JOBS_PER_USER = parseInt(process.env.HLS_JOBS_PER_USER, 10) || 3;
+const HLS_USER_WINDOW = 60 * 60 * 1000;
+const HLS_RENDITIONS = [
+    { height: 1080, videoBitrate: 5000, audioBitrate: 160 },
+    { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { height: 480, videoBitrate: 1400, audioBitrate: 96 }
+];
+const hlsJobs = new Map();
+const hlsQueue = [];
+const hlsJobStarts = new Map(); // username -> times they started a job in HLS_USER_WINDOW
+const hlsIndex = new Map(); // finished set dir -> bytes, least recently played first
+let hlsCacheBytes = 0;
+let hlsIndexReady = null;
+
+function getHlsPaths(videoId) {
+    const dir = path.join(HLS_DIR, getCacheName(videoId));
+    return { dir, marker: path.join(dir, 'complete.json') };
+}
+
+async function getDirectorySize(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const sizes = await Promise.all(entries.map(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return getDirectorySize(entryPath);
+        return fs.stat(entryPath).then(stats => stats.size, () => 0);
+    }));
+    return sizes.reduce((total, size) => total + size, 0);
+}
+
+// Rebuild the index of finished sets from disk once, oldest first
+function loadHlsIndex() {
+    if (!hlsIndexReady) {
+        hlsIndexReady = (async () => {
+            const entries = [];
+            const names = await fs.readdir(HLS_DIR).catch(() => []);
+            
+            for (const name of names) {
+                const dir = path.join(HLS_DIR, name);
+                const stats = await fs.stat(path.join(dir, 'complete.json')).catch(() => null);
+                if (stats) entries.push({ dir, size: await getDirectorySize(dir), atime: stats.mtimeMs });
+            }
+            
+            entries.sort((a, b) => a.atime - b.atime).forEach(entry => {
+                hlsIndex.set(entry.dir, entry.size);
+                hlsCacheBytes += entry.size;
+            });
+            
+            await evictHlsRenditions();
+        })();
+    }
+    return hlsIndexReady;
+}
+
+async function addHlsRenditions(dir) {
+    await loadHlsIndex();
+    forgetHlsRenditions(dir);
+    
+    const size = await getDirectorySize(dir);
+    hlsIndex.set(dir, size);
+    hlsCacheBytes += size;
+    await evictHlsRenditions();
+}
+
+// Re-insert to mark as most recently played
+function touchHlsRenditions(dir) {
+    if (!hlsIndex.has(dir)) return;
+    const size = hlsIndex.get(dir);
+    hlsIndex.delete(dir);
+    hlsIndex.set(dir, size);
+}
+
+function forgetHlsRenditions(dir) {
+    if (!hlsIndex.has(dir)) return;
+    hlsCacheBytes -= hlsIndex.get(dir);
+    hlsIndex.delete(dir);
+}
+
+// The newest set always stays, even when it alone is over the limit
+async function evictHlsRenditions() {
+    if (!HLS_CACHE_MAX_BYTES) return;
+    
+    for (const [dir] of hlsIndex) {
+        if (hlsCacheBytes <= HLS_CACHE_MAX_BYTES || hlsIndex.size <= 1) break;
+        
+        forgetHlsRenditions(dir);
+        console.log(`HLS: evicting ${path.basename(dir)} to stay under ${formatFileSize(HLS_CACHE_MAX_BYTES)}`);
+        await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+// Whether this user may start another encode now; counts it when they may
+function takeHlsJobSlot(user) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    
+    const cutoff = Date.now() - HLS_USER_WINDOW;
+    const starts = (hlsJobStarts.get(user.username) || []).filter(time => time > cutoff);
+    if (starts.length >= HLS_JOBS_PER_USER) return false;
+    
+    starts.push(Date.now());
+    hlsJobStarts.set(user.username, starts);
+    return true;
+}
+
+setInterval(() => {
+    const cutoff = Date.now() - HLS_USER_WINDOW;
+    hlsJobStarts.forEach((starts, username) => {
+        if (starts.every(time => time <= cutoff)) hlsJobStarts.delete(username);
+    });
+}, HLS_USER_WINDOW).unref();
+
+async function readHlsManifest(videoId) {
+    try {
+        return JSON.parse(await fs.readFile(getHlsPaths(videoId).marker, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Renditions no taller than the source; tiny sources get a single one at their own size
+function pickRenditions(sourceHeight) {
+    if (!sourceHeight) return HLS_RENDITIONS;
+    
+    const renditions = HLS_RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+    if (renditions.length) return renditions;
+    
+    const smallest = HLS_RENDITIONS[HLS_RENDITIONS.length - 1];
+    return [{ ...smallest, height: sourceHeight - (sourceHeight % 2) }];
+}
+
+function buildHlsArgs(input, dir, probe, renditions) {
+    const hasAudio = !!probe.audioCodec;
+    const split = renditions.map((rendition, i) => `[v${i}]`).join('');
+    const scales = renditions.map((rendition, i) => `[v${i}]scale=-2:${rendition.height}[v${i}out]`);
+    
+    const args = [
+        '-hide_banner', '-loglevel', 'error', '-nostats', '-progress', 'pipe:1',
+        '-i', input,
+        '-filter_complex', `[0:v:0]split=${renditions.length}${split};${scales.join(';')}`
+    ];
+    
+    renditions.forEach((rendition, i) => {
+        args.push(
+            '-map', `[v${i}out]`,
+            `-c:v:${i}`, 'libx264',
+            `-b:v:${i}`, `${rendition.videoBitrate}k`,
+            `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+            `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+        );
+    });
+    
+    if (hasAudio) {
+        renditions.forEach((rendition, i) => {
+            args.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${rendition.audioBitrate}k`, `-ac:a:${i}`, '2');
+        });
+    }
+    
+    const streamMap = renditions
+        .map((rendition, i) => `v:${i}${hasAudio ? `,a:${i}` : ''},name:${rendition.height}p`)
+        .join(' ');
+    
+    args.push(
+        '-preset', TRANSCODE_PRESET,
+        '-pix_fmt', 'yuv420p',
+        // Keyframes on segment boundaries so every rendition can switch at every segment
+        '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        '-f', 'hls',
+        '-hls_time', String(HLS_SEGMENT_SECONDS),
+        '-hls_playlist_type', 'event',
+        '-hls_segment_filename', path.join(dir, '%v', 'seg_%05d.ts'),
+        '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', streamMap,
+        path.join(dir, '%v', 'index.m3u8')
+    );
+    
+    return args;
+}
+
+// Queue a video for HLS generation; returns its current status, or null when
+// the user has started too many encodes lately
+async function queueHlsJob(videoId, user) {
+    if (hlsJobs.has(videoId)) return hlsJobs.get(videoId);
+    
+    const manifest = await readHlsManifest(videoId);
+    if (manifest) return { status: 'ready', progress: 100 };
+    if (!takeHlsJobSlot(user)) return null;
+    
+    const job = { status: 'queued', progress: 0, error: null, process: null, queuedAt: new Date().toISOString() };
+    hlsJobs.set(videoId, job);
+    hlsQueue.push(videoId);
+    pumpHlsQueue();
+    return job;
+}
+
+function pumpHlsQueue() {
+    const running = [...hlsJobs.values()].filter(job => job.status === 'running').length;
+    
+    for (let i = running; i < MAX_HLS_JOBS && hlsQueue.length; i++) {
+        const videoId = hlsQueue.shift();
+        runHlsJob(videoId).finally(pumpHlsQueue);
+    }
+}
+
+async function runHlsJob(videoId) {
+    const job = hlsJobs.get(videoId);
+    if (!job) return;
+    
+    const { dir, marker } = getHlsPaths(videoId);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    
+    try {
+        const probe = await probeVideo(videoId);
+        if (!probe.videoCodec) {
+            throw new Error('No video stream found');
+        }
+        
+        const renditions = pickRenditions(probe.height);
+        const input = await getLocalStreamUrl(videoId);
+        if (job.cancelled) {
+            throw new Error('Cancelled');
+        }
+        
+        // Leftovers from an interrupted run are useless; start clean
+        await fs.rm(dir, { recursive: true, force: true });
+        await Promise.all(renditions.map(rendition => fs.mkdir(path.join(dir, `${rendition.height}p`), { recursive: true })));
+        
+        console.log(`HLS: generating ${renditions.map(r => r.height + 'p').join('/')} for ${videoId}`);
+        
+        await new Promise((resolve, reject) => {
+            const ffmpeg = spawn(FFMPEG_PATH, buildHlsArgs(input, dir, probe, renditions), {
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+            job.process = ffmpeg;
+            
+            let stderr = '';
+            ffmpeg.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+            
+            // -progress writes key=value lines; out_time_us is the encoded position
+            ffmpeg.stdout.on('data', chunk => {
+                const match = String(chunk).match(/out_time_(?:us|ms)=(\d+)/g);
+                if (match && probe.duration) {
+                    const seconds = Number(match[match.length - 1].split('=')[1]) / 1e6;
+                    job.progress = Math.min(99, Math.round((seconds / probe.duration) * 100));
+                }
+            });
+            
+            ffmpeg.on('error', reject);
+            ffmpeg.on('close', code => {
+                if (code === 0) return resolve();
+                reject(new Error(job.cancelled ? 'Cancelled' : (stderr.trim().split('\n').pop() || `ffmpeg exited with ${code}`)));
+            });
+        });
+        
+        await fs.writeFile(marker, JSON.stringify({
+            renditions: renditions.map(rendition => ({
+                name: `${rendition.height}p`,
+                height: rendition.height,
+                bandwidth: (rendition.videoBitrate + (probe.audioCodec ? rendition.audioBitrate : 0)) * 1000
+            })),
+            duration: probe.duration,
+            createdAt: new Date().toISOString()
+        }, null, 2));
+        
+        console.log(`HLS: ${videoId} ready`);
+        hlsJobs.delete(videoId);
+        await addHlsRenditions(dir);
+        
+    } catch (error) {
+        console.error(`HLS: ${videoId} failed:`, error.message);
+        await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+        
+        if (job.cancelled) {
+            hlsJobs.delete(videoId);
+        } else {
+            job.status = 'failed';
+            job.error = error.code === 'ENOENT' ? 'ffmpeg is not installed on the server' : error.message;
+            job.process = null;
+            // Let a later request try again
+            setTimeout(() => hlsJobs.get(videoId) === job && hlsJobs.delete(videoId), CACHE_DURATION);
+        }
+    }
+}
+
+async function getHlsStatus(videoId) {
+    const manifest = await readHlsManifest(videoId);
+    if (manifest) {
+        return { status: 'ready', progress: 100, renditions: manifest.renditions, duration: manifest.duration };
+    }
+    
+    const job = hlsJobs.get(videoId);
+    if (!job) return { status: 'none', progress: 0 };
+    
+    return {
+        status: job.status,
+        progress: job.progress,
+        error: job.error || undefined,
+        position: job.status === 'queued' ? hlsQueue.indexOf(videoId) + 1 : undefined
+    };
+}
+
+// API: HLS status (none / queued / running / ready / failed)
+app.get('/api/hls/:id/status', async (req, res) => {
+    if (!isValidVideoId(req.params.id)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    res.json({ success: true, ...(await getHlsStatus(req.params.id)) });
+});
+
+function sendHlsLimited(res) {
+    res.setHeader('Retry-After', String(HLS_USER_WINDOW / 1000));
+    res.status(429).json({ 
+        success: false, 
+        error: `Only ${HLS_JOBS_PER_USER} quality encodes can be started per hour`, 
+        status: 'none' 
+    });
+}
+
+// API: Start generating HLS renditions (viewers: HLS_JOBS_PER_USER an hour)
+app.post('/api/hls/:id', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    if (!(await queueHlsJob(videoId, req.user))) {
+        return sendHlsLimited(res);
+    }
+    const status = await getHlsStatus(videoId);
+    res.status(status.status === 'ready' ? 200 : 202).json({ success: true, ...status });
+});
+
+// API: Drop the cached renditions (admin) - also cancels a running job
+app.delete('/api/hls/:id', requireAdmin, async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    const job = hlsJobs.get(videoId);
+    if (job) {
+        job.cancelled = true;
+        const queued = hlsQueue.indexOf(videoId);
+        if (queued !== -1) {
+            hlsQueue.splice(queued, 1);
+            hlsJobs.delete(videoId);
+        }
+        if (job.process) job.process.kill('SIGKILL');
+    }
+    
+    const { dir } = getHlsPaths(videoId);
+    forgetHlsRenditions(dir);
+    await fs.rm(dir, { recursive: true, force: true });
+    res.json({ success: true, message: 'HLS renditions removed' });
+});
+
+// API: Master playlist. Asking for it before the renditions exist queues them.
+app.get('/api/hls/:id/master.m3u8', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    
+    if (!(await readHlsManifest(videoId))) {
+        if (!(await queueHlsJob(videoId, req.user))) {
+            return sendHlsLimited(res);
+        }
+        res.setHeader('Retry-After', '30');
+        return res.status(503).json({ ...(await getHlsStatus(videoId)), error: 'Renditions not ready' });
+    }
+    
+    const { dir } = getHlsPaths(videoId);
+    await loadHlsIndex();
+    touchHlsRenditions(dir);
+    
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    res.sendFile(path.join(dir, 'master.m3u8'));
+});
+
+// API: Rendition playlists and segments (/api/hls/:id/720p/index.m3u8, .../seg_00001.ts)
+app.get('/api/hls/:id/:rendition/:file', (req, res) => {
+    const { id, rendition, file } = req.params;
+    
+    if (!isValidVideoId(id) || !/^\d+p$/.test(rendition) || !/^(index\.m3u8|seg_\d+\.ts)$/.test(file)) {
+        return res.status(400).json({ error: 'Invalid HLS path' });
+    }
+    
+    const isPlaylist = file.endsWith('.m3u8');
+    res.setHeader('Content-Type', isPlaylist ? 'application/vnd.apple.mpegurl' : 'video/mp2t');
+    // Segments never change once written; playlists can while a job is running
+    res.setHeader('Cache-Control', isPlaylist ? 'no-cache' : 'private, max-age=86400');
+    
+    res.sendFile(path.join(getHlsPaths(id).dir, rendition, file), error => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Not found' });
+        }
+    });
+});
+
+// ==================== SUBTITLES ====================
+// Sidecar subtitles sit next to the video in Drive (movie.en.srt, movie.vtt).
+// Uploaded ones are converted once and kept in ./subtitles/. Everything is
+// served as WebVTT from /api/subtitles/:id so Video.js can use it directly.
+const SUBTITLE_DIR = './subtitles';
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt'];
+const MAX_SUBTITLE_SIZE = 5 * 1024 * 1024;
+const SUBTITLE_FLAGS = ['forced', 'sdh', 'cc', 'hi'];
+const subtitlesStore = createJsonStore('./subtitles.json', {});
+const subtitleCache = new Map();
+const EMBEDDED_SUBTITLE_DIR = path.join(CACHE_DIR, 'subtitles');
+const EXTRACT_TIMEOUT = 10 * 60 * 1000;
+const subtitleExtractions = new Map();
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+function getFileExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+}
+
+function getLanguageName(code) {
+    try {
+        return languageNames.of(code);
+    } catch (error) {
+        return code;
+    }
+}
+
+// SRT and WebVTT only differ in the header and the millisecond separator
+function toWebVtt(text) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+    if (normalized.startsWith('WEBVTT')) return normalized + '\n';
+    
+    const cues = normalized.replace(/(\d{1,2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+    return `WEBVTT\n\n${cues}\n`;
+}
+
+// Old subtitle files are often Latin-1 rather than UTF-8
+function decodeSubtitle(buffer) {
+    const text = buffer.toString('utf8');
+    return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+// "Movie.en.forced.srt" next to "Movie.mkv" -> { language: 'en', label: 'English (forced)' }
+function describeSidecar(videoName, subtitleName) {
+    const videoBase = videoName.replace(/\.[^.]+$/, '').toLowerCase();
+    const subtitleBase = subtitleName.replace(/\.[^.]+$/, '');
+    
+    if (subtitleBase.toLowerCase() !== videoBase && !subtitleBase.toLowerCase().startsWith(videoBase + '.')) {
+        return null;
+    }
+    
+    const tags = subtitleBase.slice(videoBase.length).split('.').filter(Boolean);
+    const language = tags.find(tag => /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(tag) && !SUBTITLE_FLAGS.includes(tag)) || null;
+    const extras = tags.filter(tag => tag !== language);
+    const name = language ? getLanguageName(language) : (extras.shift() || 'Subtitles');
+    
+    return {
+        language: language,
+        label: extras.length ? `${name} (${extras.join(', ')})` : name
+    };
+}
+
+// Subtitle files in the video's folder whose names match the video
+async function findSidecarSubtitles(videoId) {
+    const { provider, fileId } = resolveVideoId(videoId);
+    const video = await provider.getFile(fileId);
+    const siblings = await provider.listSiblings(video);
+    
+    return siblings
+        .filter(file => SUBTITLE_EXTENSIONS.includes(getFileExtension(file.name)) && !isChapterSidecar(video.name, file.name))
+        .map(file => {
+            const info = describeSidecar(video.name, file.name);
+            return info && {
+                id: file.id,
+                label: info.label,
+                language: info.language,
+                source: provider.id,
+                fileName: file.name,
+                url: `/api/subtitles/${file.id}`
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// API: Subtitle tracks for a video - sidecar files, embedded streams and uploads
+app.get('/api/video/:id/subtitles', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    try {
+        const sidecars = await findSidecarSubtitles(videoId);
+        
+        const uploads = Object.values(await subtitlesStore.read())
+            .filter(upload => upload.videoId === videoId)
+            .map(upload => ({
+                id: upload.id,
+                label: upload.label,
+                language: upload.language,
+                source: 'upload',
+                fileName: upload.fileName,
+                uploadedBy: upload.uploadedBy,
+                url: `/api/subtitles/${upload.id}`
+            }));
+        
+        // Text subtitle streams inside the file itself (MKV/MP4); skipped without ffprobe
+        const probe = await probeVideo(videoId).catch(() => null);
+        const embedded = (probe ? probe.subtitleTracks : [])
+            .filter(track => track.textBased)
+            .map(track => {
+                const name = track.language ? getLanguageName(track.language) : `Track ${track.index + 1}`;
+                return {
+                    id: `embedded_${track.index}`,
+                    label: track.title && track.title !== name ? `${name} - ${track.title}` : name,
+                    language: track.language,
+                    source: 'embedded',
+                    default: track.default,
+                    forced: track.forced,
+                    url: `/api/subtitles/${videoId}/embedded/${track.index}`
+                };
+            });
+        
+        const tracks = [...sidecars, ...embedded, ...uploads];
+        res.json({ success: true, tracks: tracks, count: tracks.length });
+    } catch (error) {
+        console.error('Error listing subtitles:', error.message);
+        await sendDriveError(res, error, 'Failed to list subtitles');
+    }
+});
+
+// API: Upload a subtitle file (raw .srt/.vtt body; ?fileName=&label=&language=)
+app.post('/api/video/:id/subtitles', express.text({ type: () => true, limit: MAX_SUBTITLE_SIZE }), async (req, res) => {
+    const videoId = req.params.id;
+    const fileName = String(req.query.fileName || 'subtitles.srt');
+    const language = req.query.language ? String(req.query.language).trim() : null;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    if (!SUBTITLE_EXTENSIONS.includes(getFileExtension(fileName))) {
+        return res.status(400).json({ success: false, error: 'Only .srt and .vtt files are supported' });
+    }
+    if (language && !/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language)) {
+        return res.status(400).json({ success: false, error: 'Language must be a code like "en" or "pt-BR"' });
+    }
+    
+    const vtt = toWebVtt(typeof req.body === 'string' ? req.body : '');
+    if (!vtt.includes('-->')) {
+        return res.status(400).json({ success: false, error: 'No subtitle cues found in that file' });
+    }
+    
+    try {
+        const upload = {
+            id: `upload_${crypto.randomBytes(8).toString('hex')}`,
+            videoId: videoId,
+            fileName: path.basename(fileName),
+            language: language,
+            label: String(req.query.label || '').trim().slice(0, 60) || (language ? getLanguageName(language) : path.basename(fileName)),
+            uploadedBy: req.user.username,
+            createdAt: new Date().toISOString()
+        };
+        
+        await fs.mkdir(SUBTITLE_DIR, { recursive: true });
+        await fs.writeFile(path.join(SUBTITLE_DIR, `${upload.id}.vtt`), vtt);
+        await subtitlesStore.update(uploads => {
+            uploads[upload.id] = upload;
+        });
+        
+        console.log(`Subtitles "${upload.label}" uploaded for ${videoId} by ${req.user.username}`);
+        res.status(201).json({ success: true, track: { ...upload, source: 'upload', url: `/api/subtitles/${upload.id}` } });
+    } catch (error) {
+        console.error('Error saving subtitles:', error);
+        res.status(500).json({ success: false, error: 'Failed to save subtitles', message: error.message });
+    }
+});
+
+// API: A subtitle track as WebVTT (uploaded, or a sidecar .srt/.vtt converted on the fly)
+app.get('/api/subtitles/:id', async (req, res) => {
+    const subtitleId = req.params.id;
+    
+    if (!isValidVideoId(subtitleId)) {
+        return res.status(400).json({ error: 'Invalid subtitle ID' });
+    }
+    
+    const sendVtt = vtt => {
+        res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+        res.setHeader('Cache-Control', 'private, max-age=300');
+        res.send(vtt);
+    };
+    
+    try {
+        const uploads = await subtitlesStore.read();
+        if (uploads[subtitleId]) {
+            return sendVtt(await fs.readFile(path.join(SUBTITLE_DIR, `${subtitleId}.vtt`), 'utf8'));
+        }
+        
+        const cached = subtitleCache.get(subtitleId);
+        if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
+            return sendVtt(cached.data);
+        }
+        
+        const { provider, fileId } = resolveVideoId(subtitleId);
+        const file = await provider.getFile(fileId);
+        
+        if (!SUBTITLE_EXTENSIONS.includes(getFileExtension(file.name))) {
+            return res.status(415).json({ error: 'Not a subtitle file' });
+        }
+        if (Number(file.size) > MAX_SUBTITLE_SIZE) {
+            return res.status(413).json({ error: 'Subtitle file is too large' });
+        }
+        
+        const stream = await provider.openStream(file, null, undefined, { useCache: false });
+        const vtt = toWebVtt(decodeSubtitle(Buffer.concat(await stream.toArray())));
+        
+        subtitleCache.set(subtitleId, { data: vtt, timestamp: Date.now() });
+        sendVtt(vtt);
+        
+    } catch (error) {
+        console.error(`Subtitle error for ${subtitleId}:`, error.message);
+        await sendDriveError(res, error, 'Failed to load subtitles');
+    }
+});
+
+// Pull one subtitle stream out of the file as WebVTT and keep it on disk.
+// ffmpeg has to read the whole file for this, so concurrent requests share one run.
+async function extractEmbeddedSubtitle(videoId, index, cachePath) {
+    const vtt = await runCommand(FFMPEG_PATH, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', await getLocalStreamUrl(videoId),
+        '-map', `0:s:${index}`,
+        '-c:s', 'webvtt',
+        '-f', 'webvtt',
+        'pipe:1'
+    ], EXTRACT_TIMEOUT);
+    
+    await fs.mkdir(EMBEDDED_SUBTITLE_DIR, { recursive: true });
+    await fs.writeFile(cachePath, vtt);
+    return vtt;
+}
+
+// API: An embedded subtitle stream as WebVTT (index counts subtitle streams only)
+app.get('/api/subtitles/:id/embedded/:index', async (req, res) => {
+    const videoId = req.params.id;
+    const index = parseInt(req.params.index, 10);
+    
+    if (!isValidVideoId(videoId) || !Number.isInteger(index) || index < 0) {
+        return res.status(400).json({ error: 'Invalid subtitle track' });
+    }
+    
+    const cachePath = path.join(EMBEDDED_SUBTITLE_DIR, `${getCacheName(videoId)}.${index}.vtt`);
+    
+    try {
+        let vtt = await fs.readFile(cachePath, 'utf8').catch(() => null);
+        
+        if (vtt === null) {
+            const probe = await probeVideo(videoId);
+            const track = probe.subtitleTracks[index];
+            
+            if (!track) {
+                return res.status(404).json({ error: 'Subtitle track not found' });
+            }
+            if (!track.textBased) {
+                return res.status(415).json({ error: 'Image-based subtitles cannot be converted', codec: track.codec });
+            }
+            
+            const key = `${videoId}:${index}`;
+            if (!subtitleExtractions.has(key)) {
+                subtitleExtractions.set(key, extractEmbeddedSubtitle(videoId, index, cachePath)
+                    .finally(() => subtitleExtractions.delete(key)));
+            }
+            vtt = await subtitleExtractions.get(key);
+        }
+        
+        res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.send(vtt);
+        
+    } catch (error) {
+        console.error(`Embedded subtitle error for ${videoId}/${index}:`, error.message);
+        res.status(error.code === 'ENOENT' ? 501 : 502).json({ 
+            error: 'Could not extract subtitles', 
+            message: error.code === 'ENOENT' ? 'ffmpeg is not installed on the server' : error.message 
+        });
+    }
+});
+
+// API: Remove an uploaded subtitle track (uploader or admin)
+app.delete('/api/subtitles/:id', async (req, res) => {
+    try {
+        const result = await subtitlesStore.update(uploads => {
+            const upload = uploads[req.params.id];
+            if (!upload) return { status: 404, error: 'Only uploaded subtitles can be removed' };
+            if (req.user.role !== 'admin' && upload.uploadedBy !== req.user.username) {
+                return { status: 403, error: 'You can only remove subtitles you uploaded' };
+            }
+            
+            delete uploads[req.params.id];
+            return { upload };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        await fs.unlink(path.join(SUBTITLE_DIR, `${result.upload.id}.vtt`)).catch(() => {});
+        res.json({ success: true, message: 'Subtitles removed' });
+    } catch (error) {
+        console.error('Error removing subtitles:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove subtitles', message: error.message });
+    }
+});
+
+// ==================== USER ACCOUNTS ====================
+// Users live in users.json with scrypt-hashed passwords; logins are server-side
+// sessions in sessions.json, referenced by an HttpOnly cookie.
+const usersStore = createJsonStore('./users.json', {});
+const sessionsStore = createJsonStore('./sessions.json', {});
+
+const USER_ROLES = ['admin', 'viewer'];
+const SESSION_COOKIE = 'sparrow_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Reachable without logging in (plus share links, see isPublicPath)
+const PUBLIC_PATHS = new Set(['/login', '/login.html', '/style.css', '/api/login', '/health']);
+
+function isPublicPath(urlPath) {
+    return PUBLIC_PATHS.has(urlPath) || urlPath.startsWith('/s/') || urlPath.startsWith('/api/public/');
+}
+
+// Failed password attempts allowed per key (login IP, share link + IP) in each window
+const MAX_FAILED_ATTEMPTS = 10;
+const FAILED_ATTEMPT_WINDOW = 15 * 60 * 1000;
+const failedAttempts = new Map();
+
+function isRateLimited(key) {
+    const attempts = failedAttempts.get(key);
+    return !!attempts && attempts.count >= MAX_FAILED_ATTEMPTS && Date.now() - attempts.firstAt < FAILED_ATTEMPT_WINDOW;
+}
+
+function recordFailedAttempt(key) {
+    const attempts = failedAttempts.get(key);
+    const current = attempts && Date.now() - attempts.firstAt < FAILED_ATTEMPT_WINDOW
+        ? attempts
+        : { count: 0, firstAt: Date.now() };
+    current.count++;
+    failedAttempts.set(key, current);
+}
+
+// Drop attempt counters whose window has passed
+setInterval(() => {
+    const cutoff = Date.now() - FAILED_ATTEMPT_WINDOW;
+    failedAttempts.forEach((attempts, key) => {
+        if (attempts.firstAt <= cutoff) failedAttempts.delete(key);
+    });
+}, FAILED_ATTEMPT_WINDOW).unref();
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    
+    const hash = await scrypt(password, salt, 64);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (err) {
+            // Ignore cookies that are not ours and not URI-encoded
+        }
+    });
+    return cookies;
+}
+
+function setSessionCookie(req, res, sessionId, maxAge) {
+    const parts = [
+        `${SESSION_COOKIE}=${sessionId}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${Math.floor(maxAge / 1000)}`
+    ];
+    if (req.secure) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+}
+
+function publicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+    };
+}
+
+function isValidUsername(username) {
+    return typeof username === 'string' && /^[A-Za-z0-9._-]{2,32}$/.test(username);
+}
+
+async function createSession(username) {
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    
+    await sessionsStore.update(sessions => {
+        // Drop expired sessions while we are writing anyway
+        Object.keys(sessions).forEach(id => {
+            if (sessions[id].expiresAt < now) delete sessions[id];
+        });
+        
+        sessions[sessionId] = {
+            username: username,
+            createdAt: now,
+            expiresAt: now + SESSION_MAX_AGE
+        };
+    });
+    
+    return sessionId;
+}
+
+async function deleteSessions(predicate) {
+    await sessionsStore.update(sessions => {
+        Object.keys(sessions).forEach(id => {
+            if (predicate(id, sessions[id])) delete sessions[id];
+        });
+    });
+}
+
+async function getSessionUser(req) {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!sessionId) return null;
+    
+    const sessions = await sessionsStore.read();
+    const session = sessions[sessionId];
+    if (!session || session.expiresAt < Date.now()) return null;
+    
+    const users = await usersStore.read();
+    const user = users[session.username];
+    if (!user) return null;
+    
+    return { username: user.username, role: user.role, sessionId: sessionId };
+}
+
+// Middleware: attach req.user, or send anonymous visitors to the login page
+async function authenticate(req, res, next) {
+    try {
+        req.user = await getSessionUser(req);
+    } catch (err) {
+        return next(err);
+    }
+    
+    if (req.user || isPublicPath(req.path)) {
+        return next();
+    }
+    
+    // Signed stream URLs stand in for a session on that one file
+    try {
+        if (req.query.sig && await hasValidStreamSignature(req)) {
+            return next();
+        }
+    } catch (err) {
+        return next(err);
+    }
+    
+    if (req.path.startsWith('/api/') || req.method !== 'GET') {
+        return res.status(401).json({ 
+            success: false, 
+            error: 'Login required', 
+            needLogin: true 
+        });
+    }
+    
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+// Middleware: admin-only routes
+function requireAdmin(req, res, next) {
+    if (req.user && req.user.role === 'admin') {
+        return next();
+    }
+    
+    if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+    
+    res.redirect('/');
+}
+
+// First start: create the admin account from ADMIN_USER / ADMIN_PASSWORD,
+// or with a random password that is printed once
+async function ensureAdminUser() {
+    const users = await usersStore.read();
+    if (Object.keys(users).length > 0) return;
+    
+    const username = process.env.ADMIN_USER || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+    const passwordHash = await hashPassword(password);
+    
+    await usersStore.update(store => {
+        const now = new Date().toISOString();
+        store[username] = { username, passwordHash, role: 'admin', createdAt: now, updatedAt: now };
+    });
+    
+    if (process.env.ADMIN_PASSWORD) {
+        console.log(`👤 Created admin user "${username}" from ADMIN_USER / ADMIN_PASSWORD`);
+    } else {
+        console.log(`👤 Created admin user "${username}" with password: ${password}`);
+        console.log('   Change it from the admin page, or set ADMIN_PASSWORD before the first start.');
+    }
+}
+
+// API: Log in with username and password, starting a session cookie
+app.post('/api/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    const ip = req.ip;
+    const attemptKey = `login:${ip}`;
+    
+    if (isRateLimited(attemptKey)) {
+        return res.status(429).json({ 
+            success: false, 
+            error: 'Too many login attempts',
+            message: 'Please wait a few minutes and try again'
+        });
+    }
+    
+    try {
+        const users = await usersStore.read();
+        const user = typeof username === 'string' ? users[username] : null;
+        const valid = user && typeof password === 'string' && await verifyPassword(password, user.passwordHash);
+        
+        if (!valid) {
+            recordFailedAttempt(attemptKey);
+            console.log(`Failed login for "${username}" from ${ip}`);
+            recordAudit(req, 'login.failed', { user: typeof username === 'string' ? username.slice(0, 64) : null });
+            return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+        
+        failedAttempts.delete(attemptKey);
+        
+        const sessionId = await createSession(user.username);
+        setSessionCookie(req, res, sessionId, SESSION_MAX_AGE);
+        
+        console.log(`User "${user.username}" logged in`);
+        recordAudit(req, 'login', { user: user.username });
+        res.json({ success: true, user: publicUser(user) });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, error: 'Login failed', message: error.message });
+    }
+});
+
+// API: End the current session
+app.post('/api/logout', async (req, res) => {
+    try {
+        await deleteSessions(id => id === req.user.sessionId);
+        setSessionCookie(req, res, '', 0);
+        recordAudit(req, 'logout');
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, error: 'Logout failed', message: error.message });
+    }
+});
+
+// API: Who am I
+app.get('/api/me', (req, res) => {
+    res.json({ 
+        success: true, 
+        user: { username: req.user.username, role: req.user.role } 
+    });
+});
+
+// API: Change your own password ({ currentPassword, newPassword })
+app.post('/api/me/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    
+    if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    try {
+        const users = await usersStore.read();
+        const user = users[req.user.username];
+        
+        if (!user || !(await verifyPassword(String(currentPassword || ''), user.passwordHash))) {
+            return res.status(403).json({ success: false, error: 'Current password is incorrect' });
+        }
+        
+        const passwordHash = await hashPassword(newPassword);
+        await usersStore.update(store => {
+            store[req.user.username].passwordHash = passwordHash;
+            store[req.user.username].updatedAt = new Date().toISOString();
+        });
+        
+        // Sign out every other device
+        await deleteSessions((id, session) => session.username === req.user.username && id !== req.user.sessionId);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ success: false, error: 'Failed to change password', message: error.message });
+    }
+});
+
+// API (admin): List users
+app.get('/api/users', requireAdmin, async (req, res) => {
+    try {
+        const users = await usersStore.read();
+        const list = Object.values(users)
+            .map(publicUser)
+            .sort((a, b) => a.username.localeCompare(b.username));
+        
+        res.json({ success: true, users: list, roles: USER_ROLES });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({ success: false, error: 'Failed to load users', message: error.message });
+    }
+});
+
+// API (admin): Add a user ({ username, password, role })
+app.post('/api/users', requireAdmin, async (req, res) => {
+    const { username, password } = req.body || {};
+    const role = (req.body && req.body.role) || 'viewer';
+    
+    if (!isValidUsername(username)) {
+        return res.status(400).json({ success: false, error: 'Usernames are 2-32 letters, digits, dots, dashes or underscores' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    
+    try {
+        const passwordHash = await hashPassword(password);
+        const created = await usersStore.update(store => {
+            if (store[username]) return null;
+            
+            const now = new Date().toISOString();
+            store[username] = { username, passwordHash, role, createdAt: now, updatedAt: now };
+            return store[username];
+        });
+        
+        if (!created) {
+            return res.status(409).json({ success: false, error: 'That username is already taken' });
+        }
+        
+        console.log(`User "${username}" (${role}) created by ${req.user.username}`);
+        res.status(201).json({ success: true, user: publicUser(created) });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ success: false, error: 'Failed to create user', message: error.message });
+    }
+});
+
+// API (admin): Change a user's role and/or reset their password ({ role, password })
+app.patch('/api/users/:username', requireAdmin, async (req, res) => {
+    const username = req.params.username;
+    const { role, password } = req.body || {};
+    
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    
+    try {
+        const passwordHash = password !== undefined ? await hashPassword(password) : null;
+        
+        const result = await usersStore.update(store => {
+            const user = store[username];
+            if (!user) return { status: 404, error: 'User not found' };
+            
+            const admins = Object.values(store).filter(u => u.role === 'admin');
+            if (role && role !== 'admin' && user.role === 'admin' && admins.length === 1) {
+                return { status: 400, error: 'There must be at least one admin' };
+            }
+            
+            if (role) user.role = role;
+            if (passwordHash) user.passwordHash = passwordHash;
+            user.updatedAt = new Date().toISOString();
+            return { user };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        // A reset password signs the user out everywhere
+        if (passwordHash) {
+            await deleteSessions((id, session) => session.username === username && id !== req.user.sessionId);
+        }
+        
+        res.json({ success: true, user: publicUser(result.user) });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ success: false, error: 'Failed to update user', message: error.message });
+    }
+});
+
+// API (admin): Remove a user and their sessions
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+    const username = req.params.username;
+    
+    if (username === req.user.username) {
+        return res.status(400).json({ success: false, error: 'You cannot remove your own account' });
+    }
+    
+    try {
+        const removed = await usersStore.update(store => {
+            if (!store[username]) return false;
+            delete store[username];
+            return true;
+        });
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        
+        await deleteSessions((id, session) => session.username === username);
+        
+        console.log(`User "${username}" removed by ${req.user.username}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing user:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove user', message: error.message });
+    }
+});
+
+// ==================== AUDIT LOG ====================
+// Who logged in, watched, downloaded, shared and changed what. One JSON object per
+// line in audit.log, which is only ever appended to; admins read it through /api/audit.
+const AUDIT_LOG_FILE = './audit.log';
+
+const AUDIT_ACTIONS = [
+    'login', 'login.failed', 'logout',
+    'stream.start', 'stream.preview', 'download',
+    'share.create', 'share.revoke', 'share.play',
+    'drive.connect', 'drive.revoke',
+    'video.upload', 'video.edit', 'video.trash', 'video.restore'
+];
+const AUDIT_EXPORT_FORMATS = ['json', 'csv'];
+const DEFAULT_AUDIT_LIMIT = 200;
+const MAX_AUDIT_LIMIT = 5000;
+
+// Players ask for the start of a file again on every reload or quality switch;
+// count one stream (and one preview) per viewer and video in this window
+const STREAM_AUDIT_WINDOW = 30 * 60 * 1000;
+const recentStreams = new Map();
+
+// Appends go one after another so lines never interleave
+let auditQueue = Promise.resolve();
+
+// Append an entry ({ user, videoId, title, ...details }); user defaults to whoever is logged in
+function recordAudit(req, action, { user, videoId, title, ...rest } = {}) {
+    const details = Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== undefined));
+    const entry = {
+        time: new Date().toISOString(),
+        action: action,
+        user: user !== undefined ? user : (req.user ? req.user.username : null),
+        ip: req.ip,
+        videoId: videoId || null,
+        title: title || null,
+        details: Object.keys(details).length ? details : null
+    };
+    
+    auditQueue = auditQueue
+        .then(() => fs.appendFile(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 }))
+        .catch(error => console.error('Could not write audit log:', error.message));
+}
+
+// Share tokens are live links, so the log keeps only their first characters:
+// enough to find the share on the admin page, useless for opening it
+function getShareLogId(token) {
+    return String(token).slice(0, 6);
+}
+
+// Signed stream URLs (share links) have no user, so those viewers are told apart by IP
+function recordStreamStart(req, videoId, file, action = 'stream.start') {
+    const key = `${action}:${req.user ? req.user.username : req.ip}:${videoId}`;
+    const now = Date.now();
+    
+    if (recentStreams.get(key) > now - STREAM_AUDIT_WINDOW) return;
+    recentStreams.set(key, now);
+    recordAudit(req, action, { videoId, title: file.name, signedUrl: req.user ? undefined : true });
+}
+
+setInterval(() => {
+    const cutoff = Date.now() - STREAM_AUDIT_WINDOW;
+    recentStreams.forEach((startedAt, key) => {
+        if (startedAt <= cutoff) recentStreams.delete(key);
+    });
+}, STREAM_AUDIT_WINDOW).unref();
+
+async function readAuditLog() {
+    await auditQueue;
+    
+    let content;
+    try {
+        content = await fs.readFile(AUDIT_LOG_FILE, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    
+    // A line cut short by a crash is skipped rather than hiding the rest of the log
+    return content.split('\n').filter(Boolean).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch (err) {
+            return [];
+        }
+    });
+}
+
+// ?action=&user=&videoId=&from=&to= -> { filter } or { error }.
+// action=share matches every share.* action; a plain date in to= includes that whole day.
+function readAuditFilter(query) {
+    const action = query.action ? String(query.action) : null;
+    const user = query.user ? String(query.user) : null;
+    const videoId = query.videoId ? String(query.videoId) : null;
+    const from = query.from ? Date.parse(query.from) : null;
+    let to = query.to ? Date.parse(query.to) : null;
+    
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return { error: 'from and to must be dates (YYYY-MM-DD or ISO 8601)' };
+    }
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to += 24 * 60 * 60 * 1000 - 1;
+    }
+    
+    return {
+        filter: entry => {
+            if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+            if (user && entry.user !== user) return false;
+            if (videoId && entry.videoId !== videoId) return false;
+            
+            const time = Date.parse(entry.time);
+            return (from === null || time >= from) && (to === null || time <= to);
+        }
+    };
+}
+
+function buildAuditCsv(entries) {
+    return toCsv([
+        ['Time', 'Action', 'User', 'IP', 'Video ID', 'Title', 'Details'],
+        ...entries.map(entry => [
+            entry.time,
+            entry.action,
+            entry.user || '',
+            entry.ip || '',
+            entry.videoId || '',
+            entry.title || '',
+            Object.entries(entry.details || {}).map(([key, value]) => `${key}=${value}`).join('; ')
+        ])
+    ]);
+}
+
+// API: Audit entries, newest first (?action=, ?user=, ?videoId=, ?from=, ?to=, ?limit=).
+// ?format=csv downloads every matching entry unless a limit is given (admin)
+app.get('/api/audit', requireAdmin, async (req, res) => {
+    const format = String(req.query.format || 'json').toLowerCase();
+    const { filter, error } = readAuditFilter(req.query);
+    const limit = req.query.limit !== undefined
+        ? Number(req.query.limit)
+        : (format === 'csv' ? Infinity : DEFAULT_AUDIT_LIMIT);
+    
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: `Format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}` });
+    }
+    if (error) {
+        return res.status(400).json({ success: false, error: error });
+    }
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT)) {
+        return res.status(400).json({ success: false, error: `limit must be a whole number between 1 and ${MAX_AUDIT_LIMIT}` });
+    }
+    
+    try {
+        const matching = (await readAuditLog()).filter(filter).reverse();
+        const entries = matching.slice(0, limit);
+        
+        if (format === 'csv') {
+            res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+            return res.type('text/csv; charset=utf-8').send(buildAuditCsv(entries));
+        }
+        
+        res.json({ success: true, entries: entries, count: entries.length, total: matching.length, actions: AUDIT_ACTIONS });
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        res.status(500).json({ success: false, error: 'Failed to read audit log', message: error.message });
+    }
+});
+
+// ==================== WATCH PROGRESS ====================
+// API: Everything the current user has started watching, most recent first.
+// ?inProgress=true leaves out finished videos (the "Continue Watching" row).
+app.get('/api/progress', async (req, res) => {
+    try {
+        const store = await progressStore.read();
+        let entries = Object.values(store[req.user.username] || {});
+        
+        if (req.query.inProgress === 'true') {
+            entries = entries.filter(entry => !entry.completed);
+        }
+        
+        entries.sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+        
+        res.json({ 
+            success: true, 
+            progress: entries,
+            count: entries.length
+        });
+    } catch (error) {
+        console.error('Error reading progress:', error);
+        res.status(500).json({ success: false, error: 'Failed to load progress', message: error.message });
+    }
+});
+
+// API: Saved position for one video
+app.get('/api/progress/:id', async (req, res) => {
+    try {
+        const store = await progressStore.read();
+        const entry = (store[req.user.username] || {})[req.params.id] || null;
+        
+        res.json({ success: true, progress: entry });
+    } catch (error) {
+        console.error('Error reading progress:', error);
+        res.status(500).json({ success: false, error: 'Failed to load progress', message: error.message });
+    }
+});
+
+// API: Report the current position ({ position, duration, title, type } in seconds).
+// POST is accepted too, for navigator.sendBeacon when the player page closes.
+async function saveProgress(req, res) {
+    const videoId = req.params.id;
+    const position = Number(req.body.position);
+    const duration = Number(req.body.duration) || null;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    if (!Number.isFinite(position) || position < 0) {
+        return res.status(400).json({ success: false, error: 'Invalid position' });
+    }
+    
+    const { title, type } = req.body;
+    if ([title, type].some(value => value !== undefined && value !== null && typeof value !== 'string')) {
+        return res.status(400).json({ success: false, error: 'title and type must be text' });
+    }
+    
+    try {
+        const entry = await progressStore.update(store => {
+            const userProgress = store[req.user.username] = store[req.user.username] || {};
+            const previous = userProgress[videoId] || {};
+            
+            userProgress[videoId] = {
+                videoId: videoId,
+                title: (title && title.slice(0, MAX_PROGRESS_TEXT_LENGTH)) || previous.title || null,
+                type: (type && type.slice(0, MAX_PROGRESS_TEXT_LENGTH)) || previous.type || null,
+                position: position,
+                duration: duration || previous.duration || null,
+                completed: !!(duration && position >= duration * PROGRESS_COMPLETE_RATIO),
+                updatedAt: new Date().toISOString()
+            };
+            
+            return userProgress[videoId];
+        });
+        
+        res.json({ success: true, progress: entry });
+    } catch (error) {
+        console.error('Error saving progress:', error);
+        res.status(500).json({ success: false, error: 'Failed to save progress', message: error.message });
+    }
+}
+
+app.put('/api/progress/:id', saveProgress);
+app.post('/api/progress/:id', saveProgress);
+
+// API: Forget a video's position (removes it from "Continue Watching")
+app.delete('/api/progress/:id', async (req, res) => {
+    try {
+        await progressStore.update(store => {
+            if (store[req.user.username]) {
+                delete store[req.user.username][req.params.id];
+            }
+        });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error clearing progress:', error);
+        res.status(500).json({ success: false, error: 'Failed to clear progress', message: error.message });
+    }
+});
+
+// ==================== BOOKMARKS & CHAPTERS ====================
+// Bookmarks are per user: { [username]: { [videoId]: [{ id, time, note, createdAt, updatedAt }] } }.
+// Chapters come with the video, from a "Movie.chapters.vtt" sidecar or the file's own chapter list.
+const bookmarksStore = createJsonStore('./bookmarks.json', {});
+const chapterCache = new Map();
+
+const MAX_BOOKMARKS_PER_VIDEO = 500;
+const MAX_BOOKMARK_NOTE_LENGTH = 500;
+
+function isChapterSidecar(videoName, fileName) {
+    return fileName.toLowerCase() === videoName.replace(/\.[^.]+$/, '').toLowerCase() + '.chapters.vtt';
+}
+
+// "01:02:03.500" or "02:03.500" -> seconds
+function parseVttTimestamp(value) {
+    const parts = value.trim().split(':').map(Number);
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => !Number.isFinite(part))) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Each cue of a chapters.vtt is one chapter; its text is the title
+function parseVttChapters(text) {
+    return toWebVtt(text).split(/\n{2,}/)
+        .map(block => {
+            const lines = block.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing === -1) return null;
+            
+            const [start, end] = lines[timing].split('-->').map(part => parseVttTimestamp(part.trim().split(/\s+/)[0]));
+            return start === null ? null : { title: lines.slice(timing + 1).join(' ').trim(), start, end };
+        })
+        .filter(Boolean);
+}
+
+// A sidecar wins over chapters embedded in the file, which need ffprobe
+async function loadChapters(videoId) {
+    const { provider, fileId } = resolveVideoId(videoId);
+    const video = await provider.getFile(fileId);
+    const sidecar = (await provider.listSiblings(video)).find(file => isChapterSidecar(video.name, file.name));
+    
+    let source = null;
+    let chapters = [];
+    
+    if (sidecar && Number(sidecar.size) <= MAX_SUBTITLE_SIZE) {
+        const file = await provider.getFile(resolveVideoId(sidecar.id).fileId);
+        const stream = await provider.openStream(file, null, undefined, { useCache: false });
+        chapters = parseVttChapters(decodeSubtitle(Buffer.concat(await stream.toArray())));
+        source = 'sidecar';
+    } else {
+        const probe = await probeVideo(videoId).catch(() => null);
+        chapters = probe ? probe.chapters : [];
+        source = chapters.length ? 'embedded' : null;
+    }
+    
+    return {
+        source: source,
+        chapters: chapters
+            .sort((a, b) => a.start - b.start)
+            .map((chapter, index) => ({ ...chapter, title: chapter.title || `Chapter ${index + 1}` }))
+    };
+}
+
+function readBookmark(body, previous = {}) {
+    const time = body.time === undefined ? previous.time : parseFloat(body.time);
+    const note = body.note === undefined ? previous.note : String(body.note || '').trim();
+    
+    if (!Number.isFinite(time) || time < 0) {
+        throw new Error('Bookmark time must be a number of seconds');
+    }
+    if (note.length > MAX_BOOKMARK_NOTE_LENGTH) {
+        throw new Error(`Notes are limited to ${MAX_BOOKMARK_NOTE_LENGTH} characters`);
+    }
+    return { time: Math.round(time * 10) / 10, note };
+}
+
+// API: Chapters of a video ({ source: 'sidecar' | 'embedded' | null, chapters: [{ title, start, end }] })
+app.get('/api/video/:id/chapters', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    try {
+        let cached = chapterCache.get(videoId);
+        if (!cached || (Date.now() - cached.timestamp) >= CACHE_DURATION) {
+            cached = { data: await loadChapters(videoId), timestamp: Date.now() };
+            chapterCache.set(videoId, cached);
+        }
+        
+        res.json({ success: true, ...cached.data, count: cached.data.chapters.length });
+    } catch (error) {
+        console.error(`Chapter error for ${videoId}:`, error.message);
+        await sendDriveError(res, error, 'Failed to load chapters');
+    }
+});
+
+// API: The current user's bookmarks in a video, in time order
+app.get('/api/video/:id/bookmarks', async (req, res) => {
+    try {
+        const store = await bookmarksStore.read();
+        const bookmarks = (store[req.user.username] || {})[req.params.id] || [];
+        
+        res.json({ success: true, bookmarks: bookmarks, count: bookmarks.length });
+    } catch (error) {
+        console.error('Error reading bookmarks:', error);
+        res.status(500).json({ success: false, error: 'Failed to load bookmarks', message: error.message });
+    }
+});
+
+// API: Bookmark a moment ({ time: seconds, note })
+app.post('/api/video/:id/bookmarks', async (req, res) => {
+    const videoId = req.params.id;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    let fields;
+    try {
+        fields = readBookmark(req.body, { note: '' });
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    try {
+        const result = await bookmarksStore.update(store => {
+            const userBookmarks = store[req.user.username] = store[req.user.username] || {};
+            const bookmarks = userBookmarks[videoId] = userBookmarks[videoId] || [];
+            
+            if (bookmarks.length >= MAX_BOOKMARKS_PER_VIDEO) {
+                return { status: 400, error: `Videos can have up to ${MAX_BOOKMARKS_PER_VIDEO} bookmarks` };
+            }
+            
+            const now = new Date().toISOString();
+            const bookmark = { id: crypto.randomBytes(4).toString('hex'), ...fields, createdAt: now, updatedAt: now };
+            bookmarks.push(bookmark);
+            bookmarks.sort((a, b) => a.time - b.time);
+            return { bookmark };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.status(201).json({ success: true, bookmark: result.bookmark });
+    } catch (error) {
+        console.error('Error saving bookmark:', error);
+        res.status(500).json({ success: false, error: 'Failed to save bookmark', message: error.message });
+    }
+});
+
+// API: Move a bookmark or change its note
+app.patch('/api/video/:id/bookmarks/:bookmarkId', async (req, res) => {
+    try {
+        const result = await bookmarksStore.update(store => {
+            const bookmarks = (store[req.user.username] || {})[req.params.id] || [];
+            const bookmark = bookmarks.find(entry => entry.id === req.params.bookmarkId);
+            if (!bookmark) return { status: 404, error: 'Bookmark not found' };
+            
+            try {
+                Object.assign(bookmark, readBookmark(req.body, bookmark), { updatedAt: new Date().toISOString() });
+            } catch (error) {
+                return { status: 400, error: error.message };
+            }
+            
+            bookmarks.sort((a, b) => a.time - b.time);
+            return { bookmark };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.json({ success: true, bookmark: result.bookmark });
+    } catch (error) {
+        console.error('Error updating bookmark:', error);
+        res.status(500).json({ success: false, error: 'Failed to update bookmark', message: error.message });
+    }
+});
+
+// API: Remove a bookmark
+app.delete('/api/video/:id/bookmarks/:bookmarkId', async (req, res) => {
+    try {
+        const removed = await bookmarksStore.update(store => {
+            const userBookmarks = store[req.user.username] || {};
+            const bookmarks = userBookmarks[req.params.id] || [];
+            const index = bookmarks.findIndex(entry => entry.id === req.params.bookmarkId);
+            if (index === -1) return false;
+            
+            bookmarks.splice(index, 1);
+            if (!bookmarks.length) delete userBookmarks[req.params.id];
+            return true;
+        });
+        
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Bookmark not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing bookmark:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove bookmark', message: error.message });
+    }
+});
+
+// ==================== REVIEW COMMENTS ====================
+// Threaded feedback on a time range of a video: { [videoId]: [comment] }.
+// Threads carry the range and the resolved flag; replies only point at their thread.
+const commentsStore = createJsonStore('./comments.json', {});
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_COMMENTS_PER_VIDEO = 1000;
+const COMMENT_EXPORT_FORMATS = ['csv', 'edl'];
+const DEFAULT_EDL_FPS = 25;
+
+// A comment as the given user sees it, with its replies when it is a thread
+function publicComment(comment, comments, user) {
+    const result = { ...comment, canEdit: comment.author === user.username || user.role === 'admin' };
+    if (!comment.parentId) {
+        result.replies = comments
+            .filter(reply => reply.parentId === comment.id)
+            .map(reply => publicComment(reply, comments, user));
+    }
+    return result;
+}
+
+// { start, end } in seconds from a request body; end is optional but never before start
+function readCommentRange(body, previous = { end: null }) {
+    const start = body.start === undefined ? previous.start : parseFloat(body.start);
+    const end = body.end === undefined ? previous.end : (body.end === null || body.end === '' ? null : parseFloat(body.end));
+    
+    if (!Number.isFinite(start) || start < 0) {
+        throw new Error('Comment start must be a number of seconds');
+    }
+    if (end !== null && (!Number.isFinite(end) || end < start)) {
+        throw new Error('Comment end must be a number of seconds after the start');
+    }
+    return { start, end };
+}
+
+function readCommentText(value) {
+    const text = String(value || '').trim();
+    if (!text) throw new Error('Comment text is required');
+    if (text.length > MAX_COMMENT_LENGTH) throw new Error(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+    return text;
+}
+
+// Seconds -> "0:01:02.500"
+function formatTimecode(seconds) {
+    const millis = Math.round(seconds * 1000);
+    const hours = Math.floor(millis / 3600000);
+    const minutes = String(Math.floor((millis % 3600000) / 60000)).padStart(2, '0');
+    const secs = String(Math.floor((millis % 60000) / 1000)).padStart(2, '0');
+    return `${hours}:${minutes}:${secs}.${String(millis % 1000).padStart(3, '0')}`;
+}
+
+// Seconds -> "00:01:02:12" (non-drop frame)
+function formatFrameTimecode(seconds, fps) {
+    const frames = Math.round(seconds * fps);
+    const totalSeconds = Math.floor(frames / fps);
+    return [
+        Math.floor(totalSeconds / 3600),
+        Math.floor((totalSeconds % 3600) / 60),
+        totalSeconds % 60,
+        frames % fps
+    ].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+function buildCommentsCsv(comments) {
+    const rows = [['Thread', 'Comment', 'Start', 'End', 'Author', 'Text', 'Resolved', 'Resolved By', 'Created']];
+    
+    comments.filter(comment => !comment.parentId).forEach(thread => {
+        [thread, ...comments.filter(reply => reply.parentId === thread.id)].forEach(comment => {
+            rows.push([
+                thread.id,
+                comment.id,
+                formatTimecode(thread.start),
+                thread.end === null ? '' : formatTimecode(thread.end),
+                comment.author,
+                comment.text,
+                comment === thread ? (thread.resolved ? 'yes' : 'no') : '',
+                comment === thread ? thread.resolvedBy || '' : '',
+                comment.createdAt
+            ]);
+        });
+    });
+    
+    return toCsv(rows);
+}
+
+// CMX 3600 marker list as DaVinci Resolve reads it: one event per thread,
+// red while open and green once resolved, replies folded into the note
+function buildCommentsEdl(title, comments, fps) {
+    const lines = [`TITLE: ${title.replace(/[\r\n]+/g, ' ')}`, 'FCM: NON-DROP FRAME', ''];
+    
+    comments.filter(comment => !comment.parentId).forEach((thread, index) => {
+        const start = formatFrameTimecode(thread.start, fps);
+        const endSeconds = thread.end === null ? thread.start + 1 / fps : Math.max(thread.end, thread.start + 1 / fps);
+        const end = formatFrameTimecode(endSeconds, fps);
+        const duration = Math.max(1, Math.round((endSeconds - thread.start) * fps));
+        const note = [thread, ...comments.filter(reply => reply.parentId === thread.id)]
+            .map(comment => `${comment.author}: ${comment.text}`)
+            .join(' / ')
+            .replace(/\s*[\r\n|]+\s*/g, ' ');
+        
+        lines.push(`${String(index + 1).padStart(3, '0')}  001      V     C        ${start} ${end} ${start} ${end}`);
+        lines.push(` |C:ResolveColor${thread.resolved ? 'Green' : 'Red'} |M:${note} |D:${duration}`);
+        lines.push('');
+    });
+    
+    return lines.join('\r\n');
+}
+
+// API: Review comments on a video, as threads in time order
+app.get('/api/comments/:id', async (req, res) => {
+    try {
+        const comments = (await commentsStore.read())[req.params.id] || [];
+        const threads = comments
+            .filter(comment => !comment.parentId)
+            .sort((a, b) => a.start - b.start)
+            .map(thread => publicComment(thread, comments, req.user));
+        
+        res.json({
+            success: true,
+            comments: threads,
+            count: comments.length,
+            unresolved: threads.filter(thread => !thread.resolved).length
+        });
+    } catch (error) {
+        console.error('Error reading comments:', error);
+        res.status(500).json({ success: false, error: 'Failed to load comments', message: error.message });
+    }
+});
+
+// API: Comment on a time range ({ text, start, end }) or reply to a thread ({ text, parentId })
+app.post('/api/comments/:id', async (req, res) => {
+    const videoId = req.params.id;
+    const parentId = req.body.parentId || null;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    let fields;
+    try {
+        fields = { text: readCommentText(req.body.text), ...(parentId ? {} : readCommentRange(req.body)) };
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    try {
+        const result = await commentsStore.update(store => {
+            const comments = store[videoId] = store[videoId] || [];
+            
+            if (comments.length >= MAX_COMMENTS_PER_VIDEO) {
+                return { status: 400, error: `Videos can have up to ${MAX_COMMENTS_PER_VIDEO} comments` };
+            }
+            if (parentId && !comments.some(comment => comment.id === parentId && !comment.parentId)) {
+                return { status: 404, error: 'Thread not found' };
+            }
+            
+            const now = new Date().toISOString();
+            const comment = {
+                id: crypto.randomBytes(4).toString('hex'),
+                parentId: parentId,
+                author: req.user.username,
+                ...fields,
+                ...(parentId ? {} : { resolved: false, resolvedBy: null, resolvedAt: null }),
+                createdAt: now,
+                updatedAt: now
+            };
+            
+            comments.push(comment);
+            return { comment: publicComment(comment, comments, req.user) };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.status(201).json({ success: true, comment: result.comment });
+    } catch (error) {
+        console.error('Error saving comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to save comment', message: error.message });
+    }
+});
+
+// API: Edit a comment ({ text, start, end }: author or admin) or (un)resolve a thread ({ resolved }: anyone)
+app.patch('/api/comments/:id/:commentId', async (req, res) => {
+    try {
+        const result = await commentsStore.update(store => {
+            const comments = store[req.params.id] || [];
+            const comment = comments.find(entry => entry.id === req.params.commentId);
+            if (!comment) return { status: 404, error: 'Comment not found' };
+            
+            const editing = ['text', 'start', 'end'].some(key => req.body[key] !== undefined);
+            if (editing && comment.author !== req.user.username && req.user.role !== 'admin') {
+                return { status: 403, error: 'You can only edit your own comments' };
+            }
+            if (req.body.resolved !== undefined && (comment.parentId || typeof req.body.resolved !== 'boolean')) {
+                return { status: 400, error: 'Only threads can be resolved, with resolved: true or false' };
+            }
+            
+            try {
+                if (req.body.text !== undefined) comment.text = readCommentText(req.body.text);
+                if (!comment.parentId) Object.assign(comment, readCommentRange(req.body, comment));
+            } catch (error) {
+                return { status: 400, error: error.message };
+            }
+            
+            if (req.body.resolved !== undefined && req.body.resolved !== comment.resolved) {
+                comment.resolved = req.body.resolved;
+                comment.resolvedBy = req.body.resolved ? req.user.username : null;
+                comment.resolvedAt = req.body.resolved ? new Date().toISOString() : null;
+            }
+            
+            comment.updatedAt = new Date().toISOString();
+            return { comment: publicComment(comment, comments, req.user) };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.json({ success: true, comment: result.comment });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to update comment', message: error.message });
+    }
+});
+
+// API: Remove a comment, and its replies when it is a thread (author or admin)
+app.delete('/api/comments/:id/:commentId', async (req, res) => {
+    try {
+        const result = await commentsStore.update(store => {
+            const comments = store[req.params.id] || [];
+            const comment = comments.find(entry => entry.id === req.params.commentId);
+            if (!comment) return { status: 404, error: 'Comment not found' };
+            if (comment.author !== req.user.username && req.user.role !== 'admin') {
+                return { status: 403, error: 'You can only remove your own comments' };
+            }
+            
+            const remaining = comments.filter(entry => entry.id !== comment.id && entry.parentId !== comment.id);
+            if (remaining.length) {
+                store[req.params.id] = remaining;
+            } else {
+                delete store[req.params.id];
+            }
+            return { removed: comments.length - remaining.length };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.json({ success: true, removed: result.removed });
+    } catch (error) {
+        console.error('Error removing comment:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove comment', message: error.message });
+    }
+});
+
+// API: Download every comment on a video (?format=csv|edl, ?fps= for EDL timecodes)
+app.get('/api/comments/:id/export', async (req, res) => {
+    const videoId = req.params.id;
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const fps = req.query.fps === undefined ? DEFAULT_EDL_FPS : Number(req.query.fps);
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    if (!COMMENT_EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: `Format must be one of: ${COMMENT_EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!Number.isInteger(fps) || fps < 1 || fps > 120) {
+        return res.status(400).json({ success: false, error: 'fps must be a whole number between 1 and 120' });
+    }
+    
     try {
-        // Check cache first
-        const cached = videoCache.get(videoId);
-        if (cached && (Date.now() - cached.timestamp) < CACHE_DURATION) {
-            console.log('Returning cached video data');
-            return res.json(cached.data);
+        const { provider, fileId } = resolveVideoId(videoId);
+        const file = await provider.getFile(fileId);
+        const comments = [...((await commentsStore.read())[videoId] || [])].sort((a, b) => (a.start || 0) - (b.start || 0));
+        const baseName = file.name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'video';
+        
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}.comments.${format}"`);
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8').send(buildCommentsCsv(comments));
+        } else {
+            res.type('text/plain; charset=utf-8').send(buildCommentsEdl(file.name, comments, fps));
+        }
+    } catch (error) {
+        console.error(`Comment export error for ${videoId}:`, error.message);
+        await sendDriveError(res, error, 'Failed to export comments');
+    }
+});
+
+// ==================== VIDEO METADATA ====================
+// Our own notes on each video, on top of what its source knows:
+// { [videoId]: { tags: [], description, rating, favouritedBy: [username], updatedBy, updatedAt } }
+// Tags, description and rating are shared by everyone; favourites belong to each user.
+const videoMetadataStore = createJsonStore('./video-metadata.json', {});
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+// Drive allows 124 bytes per appProperties key and value together
+const MAX_APP_PROPERTY_BYTES = 124;
+
+// One video's metadata as the given user sees it
+function readVideoMetadata(entry, username) {
+    return {
+        tags: entry ? entry.tags : [],
+        description: entry ? entry.description : '',
+        rating: entry ? entry.rating : null,
+        favourite: !!(entry && entry.favouritedBy.includes(username))
+    };
+}
+
+async function getVideoMetadata(videoId, username) {
+    const store = await videoMetadataStore.read();
+    return readVideoMetadata(store[videoId], username);
+}
+
+// Adds the user's view of the metadata to mapped videos (the withMetadata of provider.list)
+async function createMetadataDecorator(username) {
+    const store = await videoMetadataStore.read();
+    return video => ({ ...video, ...readVideoMetadata(store[video.id], username) });
+}
+
+// Tags arrive as a list or a comma-separated string; they are stored lowercase
+function parseTags(value) {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    
+    if (tags.length > MAX_TAGS) {
+        throw new Error(`Videos can have up to ${MAX_TAGS} tags`);
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH || tag.includes(','))) {
+        throw new Error(`Tags are up to ${MAX_TAG_LENGTH} characters, without commas`);
+    }
+    return tags;
+}
+
+// Keeps as many whole tags as fit in one appProperties entry
+function fitAppProperty(key, values, separator) {
+    let value = '';
+    for (const item of values) {
+        const next = value ? `${value}${separator}${item}` : item;
+        if (Buffer.byteLength(key + next) > MAX_APP_PROPERTY_BYTES) break;
+        value = next;
+    }
+    return value || null;
+}
+
+// Best effort: the local copy is what the app reads, Drive's is for other tools
+async function mirrorMetadataToDrive(videoId, entry) {
+    const { provider, fileId } = resolveVideoId(videoId);
+    if (provider.type !== 'drive') return;
+    
+    const { drive } = await provider.getDrive();
+    await drive.files.update({
+        fileId: fileId,
+        supportsAllDrives: true,
+        fields: 'id',
+        requestBody: {
+            appProperties: {
+                sparrowTags: fitAppProperty('sparrowTags', entry ? entry.tags : [], ','),
+                sparrowRating: entry && entry.rating ? String(entry.rating) : null
+            }
+        }
+    });
+}
+
+// Apply validated changes ({ tags, description, rating, favourite }; undefined leaves one alone).
+// Resolves with the stored entry, or null once there is nothing left to keep.
+function updateVideoMetadata(videoId, username, { tags, description, rating, favourite }) {
+    return videoMetadataStore.update(store => {
+        const entry = store[videoId] || { tags: [], description: '', rating: null, favouritedBy: [] };
+        
+        if (tags !== undefined) entry.tags = tags;
+        if (description !== undefined) entry.description = description.trim();
+        if (rating !== undefined) entry.rating = rating;
+        if (favourite !== undefined) {
+            entry.favouritedBy = entry.favouritedBy.filter(name => name !== username);
+            if (favourite) entry.favouritedBy.push(username);
+        }
+        entry.updatedBy = username;
+        entry.updatedAt = new Date().toISOString();
+        
+        // Nothing left to remember
+        if (!entry.tags.length && !entry.description && !entry.rating && !entry.favouritedBy.length) {
+            delete store[videoId];
+            return null;
+        }
+        
+        store[videoId] = entry;
+        return entry;
+    });
+}
+
+// API: Every tag in use, with how many videos carry it (for the library's tag filter)
+app.get('/api/tags', async (req, res) => {
+    try {
+        const counts = new Map();
+        Object.values(await videoMetadataStore.read()).forEach(entry => {
+            entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        
+        const tags = [...counts]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+        
+        res.json({ success: true, tags: tags, count: tags.length });
+    } catch (error) {
+        console.error('Error listing tags:', error);
+        res.status(500).json({ success: false, error: 'Failed to load tags', message: error.message });
+    }
+});
+
+// API: Tags, description, rating and the current user's favourite flag for one video
+app.get('/api/video/:id/metadata', async (req, res) => {
+    if (!isValidVideoId(req.params.id)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    try {
+        res.json({ success: true, metadata: await getVideoMetadata(req.params.id, req.user.username) });
+    } catch (error) {
+        console.error('Error reading metadata:', error);
+        res.status(500).json({ success: false, error: 'Failed to load metadata', message: error.message });
+    }
+});
+
+// API: Change any of { tags, description, rating (1-5 or null), favourite }
+app.patch('/api/video/:id/metadata', async (req, res) => {
+    const videoId = req.params.id;
+    const { description, rating, favourite } = req.body || {};
+    let tags;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    
+    try {
+        tags = req.body.tags === undefined ? undefined : parseTags(req.body.tags);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+        return res.status(400).json({ success: false, error: `Descriptions are text of up to ${MAX_DESCRIPTION_LENGTH} characters` });
+    }
+    if (rating !== undefined && rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+        return res.status(400).json({ success: false, error: 'Rating must be a whole number from 1 to 5, or null' });
+    }
+    if (favourite !== undefined && typeof favourite !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'Favourite must be true or false' });
+    }
+    
+    try {
+        const entry = await updateVideoMetadata(videoId, req.user.username, { tags, description, rating, favourite });
+        
+        if (MIRROR_METADATA_TO_DRIVE && (tags !== undefined || rating !== undefined)) {
+            mirrorMetadataToDrive(videoId, entry).catch(error => {
+                console.error(`Could not copy metadata of ${videoId} to Drive:`, error.message);
+            });
+        }
+        
+        res.json({ success: true, metadata: readVideoMetadata(entry, req.user.username) });
+    } catch (error) {
+        console.error('Error saving metadata:', error);
+        res.status(500).json({ success: false, error: 'Failed to save metadata', message: error.message });
+    }
+});
+
+// ==================== PLAYLISTS ====================
+// Ordered lists of videos, private to the user who made them:
+// { [id]: { id, owner, name, description, items: [{ videoId, title, type, addedAt }], createdAt, updatedAt } }
+// Titles are copied in when a video is added, so a playlist renders without asking every source.
+const playlistsStore = createJsonStore('./playlists.json', {});
+
+const MAX_PLAYLIST_NAME = 100;
+const MAX_PLAYLIST_ITEMS = 1000;
+
+function publicPlaylist(playlist, includeItems = true) {
+    const summary = {
+        id: playlist.id,
+        name: playlist.name,
+        description: playlist.description,
+        itemCount: playlist.items.length,
+        firstVideoId: playlist.items.length ? playlist.items[0].videoId : null,
+        createdAt: playlist.createdAt,
+        updatedAt: playlist.updatedAt
+    };
+    
+    if (includeItems) {
+        summary.items = playlist.items;
+    }
+    return summary;
+}
+
+// Someone else's playlist looks exactly like a missing one
+function getOwnPlaylist(playlists, req) {
+    const playlist = playlists[req.params.id];
+    return playlist && playlist.owner === req.user.username ? playlist : null;
+}
+
+function readPlaylistName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    return name && name.length <= MAX_PLAYLIST_NAME ? name : null;
+}
+
+// API: The current user's playlists, most recently changed first.
+// ?videoId= marks the ones that already contain that video (for "Add to playlist").
+app.get('/api/playlists', async (req, res) => {
+    try {
+        const playlists = await playlistsStore.read();
+        const list = Object.values(playlists)
+            .filter(playlist => playlist.owner === req.user.username)
+            .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+            .map(playlist => {
+                const summary = publicPlaylist(playlist, false);
+                if (req.query.videoId) {
+                    summary.containsVideo = playlist.items.some(item => item.videoId === req.query.videoId);
+                }
+                return summary;
+            });
+        
+        res.json({ success: true, playlists: list, count: list.length });
+    } catch (error) {
+        console.error('Error listing playlists:', error);
+        res.status(500).json({ success: false, error: 'Failed to load playlists', message: error.message });
+    }
+});
+
+// API: Create a playlist ({ name, description })
+app.post('/api/playlists', async (req, res) => {
+    const name = readPlaylistName(req.body.name);
+    
+    if (!name) {
+        return res.status(400).json({ success: false, error: `Playlist names need 1-${MAX_PLAYLIST_NAME} characters` });
+    }
+    
+    try {
+        const now = new Date().toISOString();
+        const playlist = {
+            id: crypto.randomBytes(4).toString('hex'),
+            owner: req.user.username,
+            name: name,
+            description: typeof req.body.description === 'string' ? req.body.description.trim() : '',
+            items: [],
+            createdAt: now,
+            updatedAt: now
+        };
+        
+        await playlistsStore.update(playlists => {
+            playlists[playlist.id] = playlist;
+        });
+        
+        res.status(201).json({ success: true, playlist: publicPlaylist(playlist) });
+    } catch (error) {
+        console.error('Error creating playlist:', error);
+        res.status(500).json({ success: false, error: 'Failed to create playlist', message: error.message });
+    }
+});
+
+// API: One playlist with its items in order
+app.get('/api/playlists/:id', async (req, res) => {
+    try {
+        const playlist = getOwnPlaylist(await playlistsStore.read(), req);
+        
+        if (!playlist) {
+            return res.status(404).json({ success: false, error: 'Playlist not found' });
+        }
+        
+        res.json({ success: true, playlist: publicPlaylist(playlist) });
+    } catch (error) {
+        console.error('Error reading playlist:', error);
+        res.status(500).json({ success: false, error: 'Failed to load playlist', message: error.message });
+    }
+});
+
+// API: Rename a playlist or change its description
+app.patch('/api/playlists/:id', async (req, res) => {
+    const { description } = req.body || {};
+    const name = req.body.name === undefined ? undefined : readPlaylistName(req.body.name);
+    
+    if (name === null) {
+        return res.status(400).json({ success: false, error: `Playlist names need 1-${MAX_PLAYLIST_NAME} characters` });
+    }
+    
+    try {
+        const playlist = await playlistsStore.update(playlists => {
+            const playlist = getOwnPlaylist(playlists, req);
+            if (!playlist) return null;
+            
+            if (name) playlist.name = name;
+            if (typeof description === 'string') playlist.description = description.trim();
+            playlist.updatedAt = new Date().toISOString();
+            return playlist;
+        });
+        
+        if (!playlist) {
+            return res.status(404).json({ success: false, error: 'Playlist not found' });
+        }
+        
+        res.json({ success: true, playlist: publicPlaylist(playlist) });
+    } catch (error) {
+        console.error('Error updating playlist:', error);
+        res.status(500).json({ success: false, error: 'Failed to update playlist', message: error.message });
+    }
+});
+
+// API: Delete a playlist (the videos themselves are untouched)
+app.delete('/api/playlists/:id', async (req, res) => {
+    try {
+        const deleted = await playlistsStore.update(playlists => {
+            if (!getOwnPlaylist(playlists, req)) return false;
+            
+            delete playlists[req.params.id];
+            return true;
+        });
+        
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Playlist not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting playlist:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete playlist', message: error.message });
+    }
+});
+
+// API: Add a video ({ videoId, position }); without a position it goes to the end
+app.post('/api/playlists/:id/items', async (req, res) => {
+    const { videoId } = req.body || {};
+    const position = req.body.position === undefined ? null : parseInt(req.body.position, 10);
+    
+    if (!videoId || !isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    if (position !== null && (!Number.isInteger(position) || position < 0)) {
+        return res.status(400).json({ success: false, error: 'Invalid position' });
+    }
+    
+    try {
+        if (!getOwnPlaylist(await playlistsStore.read(), req)) {
+            return res.status(404).json({ success: false, error: 'Playlist not found' });
+        }
+        
+        // Make sure the file exists and remember what to call it
+        const { provider, fileId } = resolveVideoId(videoId);
+        const file = await provider.getFile(fileId);
+        
+        const result = await playlistsStore.update(playlists => {
+            const playlist = getOwnPlaylist(playlists, req);
+            if (!playlist) return { status: 404, error: 'Playlist not found' };
+            if (playlist.items.some(item => item.videoId === file.id)) {
+                return { status: 409, error: 'This video is already in the playlist' };
+            }
+            if (playlist.items.length >= MAX_PLAYLIST_ITEMS) {
+                return { status: 400, error: `Playlists can hold up to ${MAX_PLAYLIST_ITEMS} videos` };
+            }
+            
+            const item = {
+                videoId: file.id,
+                title: file.name,
+                type: file.mimeType,
+                addedAt: new Date().toISOString()
+            };
+            playlist.items.splice(position === null ? playlist.items.length : position, 0, item);
+            playlist.updatedAt = item.addedAt;
+            return { playlist };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.status(201).json({ success: true, playlist: publicPlaylist(result.playlist) });
+    } catch (error) {
+        console.error('Error adding to playlist:', error.message);
+        await sendDriveError(res, error, 'Failed to add video to playlist');
+    }
+});
+
+// API: Reorder a playlist ({ videoIds }: every video in the playlist, in the new order)
+app.put('/api/playlists/:id/items', async (req, res) => {
+    const { videoIds } = req.body || {};
+    
+    if (!Array.isArray(videoIds)) {
+        return res.status(400).json({ success: false, error: 'videoIds must be a list' });
+    }
+    
+    try {
+        const result = await playlistsStore.update(playlists => {
+            const playlist = getOwnPlaylist(playlists, req);
+            if (!playlist) return { status: 404, error: 'Playlist not found' };
+            
+            const byId = new Map(playlist.items.map(item => [item.videoId, item]));
+            if (videoIds.length !== byId.size || new Set(videoIds).size !== byId.size || !videoIds.every(id => byId.has(id))) {
+                return { status: 400, error: 'The new order must list every video in the playlist exactly once' };
+            }
+            
+            playlist.items = videoIds.map(id => byId.get(id));
+            playlist.updatedAt = new Date().toISOString();
+            return { playlist };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.json({ success: true, playlist: publicPlaylist(result.playlist) });
+    } catch (error) {
+        console.error('Error reordering playlist:', error);
+        res.status(500).json({ success: false, error: 'Failed to reorder playlist', message: error.message });
+    }
+});
+
+// API: Take a video out of a playlist
+app.delete('/api/playlists/:id/items/:videoId', async (req, res) => {
+    try {
+        const result = await playlistsStore.update(playlists => {
+            const playlist = getOwnPlaylist(playlists, req);
+            if (!playlist) return { status: 404, error: 'Playlist not found' };
+            
+            const index = playlist.items.findIndex(item => item.videoId === req.params.videoId);
+            if (index === -1) return { status: 404, error: 'This video is not in the playlist' };
+            
+            playlist.items.splice(index, 1);
+            playlist.updatedAt = new Date().toISOString();
+            return { playlist };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        
+        res.json({ success: true, playlist: publicPlaylist(result.playlist) });
+    } catch (error) {
+        console.error('Error removing from playlist:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove video from playlist', message: error.message });
+    }
+});
+
+// ==================== WATCH PARTIES ====================
+// Rooms for watching one video together. They live in memory and reach the
+// players over Server-Sent Events; only the host drives playback. The state
+// records the server time it was taken at, so every player can work out where
+// the video should be now and correct its own drift.
+const parties = new Map();
+const PARTY_ACTIONS = ['play', 'pause', 'seek', 'rate', 'sync'];
+const MAX_PARTY_CONNECTIONS = 50;
+const PARTY_HEARTBEAT_INTERVAL = 25 * 1000;
+const EMPTY_PARTY_TIMEOUT = 60 * 1000;
+const HOST_RECONNECT_TIMEOUT = 30 * 1000;
+
+// Everyone connected, once per user (people often have the party open in two tabs)
+function getPartyMembers(party) {
+    const members = new Map();
+    party.connections.forEach(connection => {
+        if (!members.has(connection.username)) {
+            members.set(connection.username, { username: connection.username, host: connection.username === party.host });
         }
+    });
+    return [...members.values()];
+}
+
+function publicParty(party) {
+    return {
+        id: party.id,
+        videoId: party.videoId,
+        title: party.title,
+        host: party.host,
+        createdAt: party.createdAt,
+        state: party.state,
+        members: getPartyMembers(party)
+    };
+}
+
+function sendPartyEvent(party, event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify({ ...data, serverTime: Date.now() })}\n\n`;
+    party.connections.forEach(connection => connection.res.write(message));
+}
+
+function sendPartyPresence(party) {
+    sendPartyEvent(party, 'presence', { host: party.host, members: getPartyMembers(party) });
+}
+
+function closeParty(party, reason) {
+    sendPartyEvent(party, 'ended', { reason });
+    party.connections.forEach(connection => connection.res.end());
+    clearTimeout(party.emptyTimer);
+    clearTimeout(party.hostTimer);
+    parties.delete(party.id);
+}
+
+// A party nobody is connected to is closed after a while (long enough for a page reload)
+function scheduleEmptyParty(party) {
+    clearTimeout(party.emptyTimer);
+    party.emptyTimer = setTimeout(() => {
+        if (!party.connections.size) closeParty(party, 'Everyone left');
+    }, EMPTY_PARTY_TIMEOUT);
+}
+
+// A host who drops out (reload, network blip) or never opens the event stream gets
+// a while to come back; after that whoever is left longest takes over. A wait that
+// is already running is not restarted.
+function scheduleHostHandover(party) {
+    if (party.hostTimer) return;
+    
+    party.hostTimer = setTimeout(() => {
+        party.hostTimer = null;
+        const members = getPartyMembers(party);
+        if (!parties.has(party.id) || !members.length || members.some(member => member.host)) return;
+        
+        party.host = members[0].username;
+        console.log(`Watch party ${party.id} handed to ${party.host}`);
+        sendPartyPresence(party);
+    }, HOST_RECONNECT_TIMEOUT);
+}
+
+function findParty(req, res) {
+    const party = parties.get(req.params.id);
+    if (!party) {
+        res.status(404).json({ success: false, error: 'Watch party not found' });
+    }
+    return party || null;
+}
+
+// API: Start a watch party for a video ({ videoId, position, playing, rate }); the creator hosts
+app.post('/api/parties', async (req, res) => {
+    const { videoId } = req.body;
+    const position = Number(req.body.position) || 0;
+    const rate = Number(req.body.rate) || 1;
+    
+    if (!isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    if (position < 0 || rate < 0.25 || rate > 4) {
+        return res.status(400).json({ success: false, error: 'Invalid playback state' });
+    }
+    
+    try {
+        const { provider, fileId } = resolveVideoId(videoId);
+        const file = await provider.getFile(fileId);
         
-        const auth = await getAuthenticatedClient();
-        const drive = google.drive({ version: 'v3', auth });
+        const party = {
+            id: crypto.randomBytes(4).toString('hex'),
+            videoId: file.id,
+            title: file.name,
+            host: req.user.username,
+            createdAt: new Date().toISOString(),
+            state: { playing: !!req.body.playing, position, rate, updatedAt: Date.now() },
+            connections: new Map(),
+            emptyTimer: null,
+            hostTimer: null
+        };
         
-        console.log('Fetching video details from Google Drive...');
+        parties.set(party.id, party);
+        scheduleEmptyParty(party);
         
-        const file = await drive.files.get({
-            fileId: videoId,
-            fields: 'id, name, size, mimeType, webContentLink, webViewLink, createdTime, videoMediaMetadata, fileExtension'
-        });
+        console.log(`Watch party ${party.id} for "${party.title}" started by ${party.host}`);
+        res.status(201).json({ success: true, party: publicParty(party) });
+    } catch (error) {
+        console.error('Error starting watch party:', error.message);
+        await sendDriveError(res, error, 'Failed to start watch party');
+    }
+});
+
+// API: A party's video, host, members and playback state
+app.get('/api/parties/:id', (req, res) => {
+    const party = findParty(req, res);
+    if (!party) return;
+    
+    res.json({ success: true, party: publicParty(party), serverTime: Date.now() });
+});
 
-        // Get access token for streaming
-        const accessToken = auth.credentials.access_token;
+// API: Join a party - an event stream of welcome, presence, playback and ended events
+app.get('/api/parties/:id/events', (req, res) => {
+    const party = findParty(req, res);
+    if (!party) return;
+    
+    if (party.connections.size >= MAX_PARTY_CONNECTIONS) {
+        return res.status(409).json({ success: false, error: 'This watch party is full' });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    
+    const connection = { id: crypto.randomBytes(4).toString('hex'), username: req.user.username, res };
+    party.connections.set(connection.id, connection);
+    clearTimeout(party.emptyTimer);
+    if (connection.username === party.host) {
+        clearTimeout(party.hostTimer);
+        party.hostTimer = null;
+    } else if (!getPartyMembers(party).some(member => member.host)) {
+        scheduleHostHandover(party);
+    }
+    
+    res.write(`event: welcome\ndata: ${JSON.stringify({ username: connection.username, party: publicParty(party), serverTime: Date.now() })}\n\n`);
+    sendPartyPresence(party);
+    
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), PARTY_HEARTBEAT_INTERVAL);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        party.connections.delete(connection.id);
+        if (!parties.has(party.id)) return;
         
-        if (!accessToken) {
-            throw new Error('No valid access token');
+        if (!party.connections.size) {
+            scheduleEmptyParty(party);
+            return;
         }
-
-        // Create streaming URL with proper headers
-        const streamUrl = `https://www.googleapis.com/drive/v3/files/${videoId}?alt=media`;
-        const authStreamUrl = `${streamUrl}&access_token=${accessToken}`;
         
-        // Create proxy URL
-        const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
-        const proxyStreamUrl = `${baseUrl}/api/stream/${videoId}`;
+        if (!getPartyMembers(party).some(member => member.host)) {
+            scheduleHostHandover(party);
+        }
+        sendPartyPresence(party);
+    });
+});
+
+// API: Host playback events ({ action: play|pause|seek|rate|sync, position, playing, rate })
+app.post('/api/parties/:id/playback', (req, res) => {
+    const party = findParty(req, res);
+    if (!party) return;
+    
+    const { action } = req.body;
+    const position = Number(req.body.position);
+    const rate = req.body.rate === undefined ? party.state.rate : Number(req.body.rate);
+    
+    if (party.host !== req.user.username) {
+        return res.status(403).json({ success: false, error: 'Only the host controls playback' });
+    }
+    if (!PARTY_ACTIONS.includes(action)) {
+        return res.status(400).json({ success: false, error: `Action must be one of: ${PARTY_ACTIONS.join(', ')}` });
+    }
+    if (!Number.isFinite(position) || position < 0 || !(rate >= 0.25 && rate <= 4)) {
+        return res.status(400).json({ success: false, error: 'Invalid playback state' });
+    }
+    
+    let playing = req.body.playing === undefined ? party.state.playing : !!req.body.playing;
+    if (action === 'play') playing = true;
+    if (action === 'pause') playing = false;
+    
+    party.state = {
+        playing: playing,
+        position: position,
+        rate: rate,
+        updatedAt: Date.now()
+    };
+    
+    sendPartyEvent(party, 'playback', { action, by: req.user.username, state: party.state });
+    res.json({ success: true, state: party.state });
+});
 
-        const duration = file.data.videoMediaMetadata?.durationMillis 
-            ? Math.round(file.data.videoMediaMetadata.durationMillis / 1000) + ' seconds'
-            : 'Unknown';
+// API: Hand the host role to another member ({ username })
+app.post('/api/parties/:id/host', (req, res) => {
+    const party = findParty(req, res);
+    if (!party) return;
+    
+    if (party.host !== req.user.username) {
+        return res.status(403).json({ success: false, error: 'Only the host can hand over the party' });
+    }
+    if (!getPartyMembers(party).some(member => member.username === req.body.username)) {
+        return res.status(400).json({ success: false, error: 'That user is not in the party' });
+    }
+    
+    party.host = req.body.username;
+    sendPartyPresence(party);
+    res.json({ success: true, party: publicParty(party) });
+});
 
-        const videoData = {
-            success: true,
-            id: file.data.id,
+// API: End a party for everyone (host or admin)
+app.delete('/api/parties/:id', (req, res) => {
+    const party = findParty(req, res);
+    if (!party) return;
+    
+    if (party.host !== req.user.username && req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: 'Only the host can end the party' });
+    }
+    
+    closeParty(party, `${req.user.username} ended the party`);
+    res.json({ success: true });
+});
+
+// ==================== SHARE LINKS ====================
+// Public links to a single video: /s/<token>. Each share can expire, need a
+// password and allow a limited number of plays. Plays get a signed stream URL
+// for that one file, so recipients never see the rest of the library.
+const sharesStore = createJsonStore('./shares.json', {});
+
+const DEFAULT_SHARE_HOURS = 72;
+const MAX_SHARE_HOURS = 90 * 24;
+
+function getShareStatus(share) {
+    if (share.revokedAt) return 'revoked';
+    if (Date.parse(share.expiresAt) <= Date.now()) return 'expired';
+    if (share.maxViews && share.views >= share.maxViews) return 'used';
+    return 'active';
+}
+
+// Revoked and expired shares stop streaming at once. When the last view is used up,
+// only the play that used it keeps going, so earlier links cannot be replayed.
+async function isSharePlayAllowed(token, play) {
+    const share = (await sharesStore.read())[token];
+    const status = share ? getShareStatus(share) : 'missing';
+    return status === 'active' || (status === 'used' && play === share.views);
+}
+
+function publicShare(share) {
+    const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
+    return {
+        token: share.token,
+        url: `${baseUrl}/s/${share.token}`,
+        videoId: share.videoId,
+        title: share.title,
+        createdBy: share.createdBy,
+        createdAt: share.createdAt,
+        expiresAt: share.expiresAt,
+        hasPassword: !!share.passwordHash,
+        maxViews: share.maxViews,
+        views: share.views,
+        revokedAt: share.revokedAt,
+        status: getShareStatus(share)
+    };
+}
+
+// API: Create a share link ({ videoId, expiresInHours, password, maxViews })
+app.post('/api/share', async (req, res) => {
+    const { videoId, password } = req.body || {};
+    const hours = Number(req.body.expiresInHours || DEFAULT_SHARE_HOURS);
+    const maxViews = req.body.maxViews ? parseInt(req.body.maxViews, 10) : null;
+    
+    if (!videoId || !isValidVideoId(videoId)) {
+        return res.status(400).json({ success: false, error: 'Invalid video ID' });
+    }
+    if (!Number.isFinite(hours) || hours < 1 || hours > MAX_SHARE_HOURS) {
+        return res.status(400).json({ success: false, error: `Expiry must be between 1 hour and ${MAX_SHARE_HOURS / 24} days` });
+    }
+    if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1)) {
+        return res.status(400).json({ success: false, error: 'Max views must be a positive number' });
+    }
+    if (password && (typeof password !== 'string' || password.length < 4)) {
+        return res.status(400).json({ success: false, error: 'Share passwords need at least 4 characters' });
+    }
+    
+    try {
+        // Make sure the file exists (and remember its name for the share page)
+        const { provider, fileId } = resolveVideoId(videoId);
+        const file = { data: await provider.getFile(fileId) };
+        
+        const share = {
+            token: crypto.randomBytes(18).toString('base64url'),
+            videoId: file.data.id,
             title: file.data.name,
-            size: file.data.size ? formatFileSize(file.data.size) : 'Unknown',
-            type: file.data.mimeType,
-            duration: duration,
-            created: new Date(file.data.createdTime).toLocaleDateString(),
-            streamUrl: authStreamUrl,
-            proxyStreamUrl: proxyStreamUrl,
-            downloadUrl: `https://drive.google.com/uc?export=download&id=${videoId}`,
-            directLink: `https://drive.google.com/file/d/${videoId}/view`,
-            webViewLink: file.data.webViewLink,
             mimeType: file.data.mimeType,
-            fileExtension: file.data.fileExtension || file.data.name.split('.').pop() || 'Unknown',
-            supportsStreaming: true,
-            formatSupported: isSupportedFormat(file.data.mimeType),
-            timestamp: new Date().toISOString()
+            createdBy: req.user.username,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+            passwordHash: password ? await hashPassword(password) : null,
+            maxViews: maxViews,
+            views: 0,
+            revokedAt: null
         };
-
-        // Cache the response
-        videoCache.set(videoId, {
-            data: videoData,
-            timestamp: Date.now()
+        
+        await sharesStore.update(shares => {
+            shares[share.token] = share;
         });
-
-        console.log('Video data prepared:', {
-            title: videoData.title,
-            size: videoData.size,
-            format: videoData.fileExtension,
-            supported: videoData.formatSupported
+        
+        console.log(`Share link for "${share.title}" created by ${req.user.username} (expires ${share.expiresAt})`);
+        recordAudit(req, 'share.create', {
+            videoId: share.videoId,
+            title: share.title,
+            share: getShareLogId(share.token),
+            expiresAt: share.expiresAt,
+            password: !!share.passwordHash,
+            maxViews: share.maxViews
         });
+        res.status(201).json({ success: true, share: publicShare(share) });
+    } catch (error) {
+        console.error('Error creating share:', error.message);
+        await sendDriveError(res, error, 'Failed to create share link');
+    }
+});
 
-        res.json(videoData);
+// API: Share links - admins see all of them, everyone else their own
+app.get('/api/shares', async (req, res) => {
+    try {
+        const shares = await sharesStore.read();
+        const list = Object.values(shares)
+            .filter(share => req.user.role === 'admin' || share.createdBy === req.user.username)
+            .filter(share => !req.query.videoId || share.videoId === req.query.videoId)
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .map(publicShare);
         
+        res.json({ success: true, shares: list, count: list.length });
     } catch (error) {
-        console.error('Error fetching video:', error.message);
-        
-        if (error.message.includes('Not authenticated') || 
-            error.message.includes('invalid_grant') || 
-            error.message.includes('token')) {
-            
-            await fs.unlink('./token.json').catch(() => {});
-            
-            res.status(401).json({ 
-                success: false, 
-                error: 'Authentication expired',
-                needAuth: true,
-                message: 'Please reconnect Google Drive'
-            });
-        } else if (error.message.includes('file not found')) {
-            res.status(404).json({ 
-                success: false, 
-                error: 'Video not found',
-                message: 'The requested video could not be found'
-            });
-        } else {
-            res.status(500).json({ 
-                success: false, 
-                error: 'Failed to load video',
-                message: error.message,
-                details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-            });
-        }
+        console.error('Error listing shares:', error);
+        res.status(500).json({ success: false, error: 'Failed to load share links', message: error.message });
     }
 });
 
-// PROXY ENDPOINT: Stream video through server (fixes CORS issues)
-app.get('/api/stream/:id', async (req, res) => {
-    const videoId = req.params.id;
-    console.log(`GET /api/stream/${videoId} - Video streaming proxy`);
-    
+// API: Revoke a share link (admin, or whoever created it)
+app.delete('/api/shares/:token', async (req, res) => {
     try {
-        const auth = await getAuthenticatedClient();
-        const accessToken = auth.credentials.access_token;
-        
-        if (!accessToken) {
-            return res.status(401).json({ error: 'No valid access token' });
-        }
-        
-        const streamUrl = `https://www.googleapis.com/drive/v3/files/${videoId}?alt=media`;
-        const authUrl = `${streamUrl}&access_token=${accessToken}`;
-        
-        const range = req.headers.range;
-        
-        if (range) {
-            console.log('Range request detected:', range);
-            
-            // Fetch with range header
-            const response = await fetch(authUrl, {
-                headers: { 
-                    'Range': range,
-                    'User-Agent': 'Mozilla/5.0'
-                }
-            });
-            
-            // Check if request was successful
-            if (!response.ok) {
-                throw new Error(`Google Drive API error: ${response.status} ${response.statusText}`);
-            }
-            
-            // Copy headers from Google Drive response
-            const headers = ['content-type', 'content-length', 'content-range', 'accept-ranges'];
-            headers.forEach(header => {
-                const value = response.headers.get(header);
-                if (value) res.setHeader(header, value);
-            });
-            
-            // Additional headers for CORS and caching
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Expose-Headers', '*');
-            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-            
-            res.status(response.status);
-            
-            // Stream the response
-            if (response.body) {
-                response.body.pipe(res);
-            } else {
-                const buffer = await response.arrayBuffer();
-                res.send(Buffer.from(buffer));
+        const result = await sharesStore.update(shares => {
+            const share = shares[req.params.token];
+            if (!share) return { status: 404, error: 'Share link not found' };
+            if (req.user.role !== 'admin' && share.createdBy !== req.user.username) {
+                return { status: 403, error: 'You can only revoke your own share links' };
             }
             
-        } else {
-            // Non-range request - redirect
-            console.log('Non-range request, redirecting to:', authUrl);
-            res.redirect(authUrl);
+            share.revokedAt = share.revokedAt || new Date().toISOString();
+            return { share };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
         }
         
+        console.log(`Share link ${getShareLogId(req.params.token)} revoked by ${req.user.username}`);
+        recordAudit(req, 'share.revoke', { videoId: result.share.videoId, title: result.share.title, share: getShareLogId(req.params.token) });
+        res.json({ success: true, share: publicShare(result.share) });
     } catch (error) {
-        console.error('Stream proxy error:', error);
-        res.status(500).json({ 
-            error: 'Streaming failed', 
-            message: error.message 
-        });
+        console.error('Error revoking share:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke share link', message: error.message });
     }
 });
 
-// Generate authentication URL
-function generateAuthUrl() {
-    const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
-    const redirectUri = `${baseUrl}/auth/callback`;
-    
-    const auth = getOAuth2Client(redirectUri);
-    return auth.generateAuthUrl({
-        access_type: 'offline',
-        scope: SCOPES,
-        prompt: 'consent',
-        include_granted_scopes: true
-    });
-}
+// PUBLIC: Share player page
+app.get('/s/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'share.html'));
+});
 
-// API: Get authentication status
-app.get('/api/auth-status', async (req, res) => {
+// PUBLIC API: What the share page needs before playback
+app.get('/api/public/share/:token', async (req, res) => {
     try {
-        const tokenExists = await fs.access('./token.json').then(() => true).catch(() => false);
+        const shares = await sharesStore.read();
+        const share = shares[req.params.token];
+        const status = share ? getShareStatus(share) : 'missing';
         
-        if (tokenExists) {
-            try {
-                const tokenContent = await fs.readFile('./token.json', 'utf8');
-                const token = JSON.parse(tokenContent);
-                
-                // Check if token is expired or will expire soon
-                if (token.expiry_date && token.expiry_date < Date.now() + 60000) {
-                    console.log('Token expired or expiring soon');
-                    await fs.unlink('./token.json').catch(() => {});
-                    return res.json({ 
-                        authenticated: false, 
-                        needAuth: true,
-                        authUrl: generateAuthUrl()
-                    });
-                }
-                
-                // Test token validity
-                const auth = getOAuth2Client();
-                auth.setCredentials(token);
-                await auth.getAccessToken();
-                
-                return res.json({ 
-                    authenticated: true,
-                    expiresIn: token.expiry_date ? Math.max(0, token.expiry_date - Date.now()) : null
-                });
-                
-            } catch (tokenError) {
-                console.log('Token validation failed:', tokenError.message);
-                await fs.unlink('./token.json').catch(() => {});
-                return res.json({ 
-                    authenticated: false, 
-                    needAuth: true,
-                    authUrl: generateAuthUrl()
-                });
-            }
-        } else {
-            res.json({ 
-                authenticated: false, 
-                needAuth: true,
-                authUrl: generateAuthUrl()
+        if (status !== 'active') {
+            return res.status(status === 'missing' ? 404 : 410).json({ 
+                success: false, 
+                error: status === 'missing' ? 'Share link not found' : `This share link is ${status === 'used' ? 'used up' : status}`,
+                status: status
             });
         }
-    } catch (error) {
-        console.error('Error checking auth status:', error);
-        res.json({ 
-            authenticated: false, 
-            needAuth: true,
-            error: error.message,
-            authUrl: generateAuthUrl()
+        
+        res.json({
+            success: true,
+            title: share.title,
+            mimeType: share.mimeType,
+            expiresAt: share.expiresAt,
+            requiresPassword: !!share.passwordHash,
+            remainingViews: share.maxViews ? share.maxViews - share.views : null
         });
+    } catch (error) {
+        console.error('Error reading share:', error);
+        res.status(500).json({ success: false, error: 'Failed to load share link', message: error.message });
     }
 });
 
-// API: Revoke authentication (logout)
-app.get('/api/revoke-auth', async (req, res) => {
+// PUBLIC API: Start playback ({ password }) - counts a view and returns a signed stream URL
+app.post('/api/public/share/:token/play', async (req, res) => {
+    const token = req.params.token;
+    const attemptKey = `share:${token}:${req.ip}`;
+    
+    if (isRateLimited(attemptKey)) {
+        return res.status(429).json({ success: false, error: 'Too many attempts, please wait a few minutes' });
+    }
+    
     try {
-        // Try to revoke token with Google
-        try {
-            const tokenContent = await fs.readFile('./token.json', 'utf8');
-            const token = JSON.parse(tokenContent);
-            const auth = getOAuth2Client();
-            auth.setCredentials(token);
-            await auth.revokeCredentials();
-            console.log('Google token revoked');
-        } catch (revokeError) {
-            console.log('Could not revoke Google token:', revokeError.message);
+        const shares = await sharesStore.read();
+        const existing = shares[token];
+        
+        if (!existing || getShareStatus(existing) !== 'active') {
+            return res.status(existing ? 410 : 404).json({ success: false, error: 'This share link is no longer available' });
         }
         
-        // Delete token file
-        await fs.unlink('./token.json').catch(() => {});
+        if (existing.passwordHash) {
+            const password = (req.body && req.body.password) || '';
+            if (!(await verifyPassword(String(password), existing.passwordHash))) {
+                recordFailedAttempt(attemptKey);
+                return res.status(403).json({ success: false, error: 'Wrong password', needPassword: true });
+            }
+        }
         
-        // Clear cache
-        videoCache.clear();
+        // Re-check inside the update so two last plays cannot both get through
+        const share = await sharesStore.update(store => {
+            const current = store[token];
+            if (!current || getShareStatus(current) !== 'active') return null;
+            current.views++;
+            current.lastViewedAt = new Date().toISOString();
+            return current;
+        });
+        
+        if (!share) {
+            return res.status(410).json({ success: false, error: 'This share link is no longer available' });
+        }
+        
+        const secondsLeft = Math.floor((Date.parse(share.expiresAt) - Date.now()) / 1000);
+        const streamUrl = await signStreamUrl(share.videoId, Math.max(60, Math.min(STREAM_URL_TTL, secondsLeft)), {
+            share: token,
+            play: share.views
+        });
         
+        console.log(`Share ${getShareLogId(token)} played (${share.views}${share.maxViews ? '/' + share.maxViews : ''} views)`);
+        recordAudit(req, 'share.play', { videoId: share.videoId, title: share.title, share: getShareLogId(token), createdBy: share.createdBy });
         res.json({ 
             success: true, 
-            message: 'Logged out successfully',
-            timestamp: new Date().toISOString()
+            title: share.title,
+            mimeType: share.mimeType,
+            streamUrl: streamUrl,
+            // Same signature, so unsupported formats can fall back to ffmpeg
+            transcodeUrl: streamUrl.replace('/api/stream/', '/api/transcode/'),
+            formatSupported: isSupportedFormat(share.mimeType)
         });
     } catch (error) {
-        console.error('Error revoking auth:', error);
-        res.json({ 
-            success: false, 
-            error: error.message
-        });
+        console.error('Error starting shared playback:', error);
+        res.status(500).json({ success: false, error: 'Failed to start playback', message: error.message });
     }
 });
 
 // ==================== OAUTH CALLBACK ====================
-app.get('/auth/callback', async (req, res) => {
+app.get('/auth/callback', requireAdmin, async (req, res) => {
     console.log('OAuth callback received');
     
     try {
@@ -597,27 +6422,44 @@ app.get('/auth/callback', async (req, res) => {
         
         console.log('Exchanging code for tokens with redirect URI:', redirectUri);
         
+        // "Add account" from the admin page: store the token with that account instead.
+        // An expired link must not fall through and replace the first account's token.
+        const linkingAccount = String(req.query.state || '').startsWith('account:');
+        if (linkingAccount && !takeAccountLinkState(req.query.state)) {
+            throw new Error('This sign-in link has expired. Start again from the admin page.');
+        }
+        
         const auth = getOAuth2Client(redirectUri);
         
         const { tokens } = await auth.getToken(code);
         console.log('Tokens received, saving...');
         
-        // Ensure we have refresh token
-        if (!tokens.refresh_token) {
-            console.log('No refresh token in response, checking existing token...');
-            try {
-                const existingToken = await fs.readFile('./token.json', 'utf8');
-                const existing = JSON.parse(existingToken);
-                if (existing.refresh_token) {
-                    tokens.refresh_token = existing.refresh_token;
-                    console.log('Using existing refresh token');
+        if (linkingAccount) {
+            const account = await saveLinkedAccount(tokens, req.user.username);
+            recordAudit(req, 'drive.connect', { account: account.email });
+        } else {
+            // Ensure we have refresh token
+            if (!tokens.refresh_token) {
+                console.log('No refresh token in response, checking existing token...');
+                try {
+                    const existingToken = await fs.readFile('./token.json', 'utf8');
+                    const existing = JSON.parse(existingToken);
+                    if (existing.refresh_token) {
+                        tokens.refresh_token = existing.refresh_token;
+                        console.log('Using existing refresh token');
+                    }
+                } catch (e) {
+                    console.log('No existing token found');
                 }
-            } catch (e) {
-                console.log('No existing token found');
             }
+            
+            await fs.writeFile('./token.json', JSON.stringify(tokens));
+            
+            // This may be a different Google user than before; index it from scratch
+            await forgetIndexedSource('drive');
+            recordAudit(req, 'drive.connect', { account: 'primary' });
         }
-        
-        await fs.writeFile('./token.json', JSON.stringify(tokens));
+        syncLibraryIndex().catch(error => console.error('Library index sync failed:', error.message));
         
         console.log('✅ Token saved successfully');
         
@@ -792,6 +6634,10 @@ app.use((err, req, res, next) => {
 });
 
 // ==================== SERVER STARTUP ====================
+ensureAdminUser().catch(err => {
+    console.error('Could not create the admin account:', err.message);
+});
+
 app.listen(PORT, () => {
     const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
     
@@ -802,21 +6648,39 @@ app.listen(PORT, () => {
     📍 Local: http://localhost:${PORT}
     🌐 External: ${baseUrl}
     
-    🔒 Authentication: Basic Auth Enabled
-    👤 Default Credentials: admin / sparrow123
+    🔒 Authentication: Session login (accounts in users.json)
+    👤 Manage Users: ${baseUrl}/admin
     
     ⚙️  Configuration:
     - Node Environment: ${process.env.NODE_ENV || 'development'}
     - Port: ${PORT}
     - Token File: ${__dirname}/token.json
+    - Progress File: ${__dirname}/progress.json
     
     📡 Endpoints:
     ✅ Health Check: ${baseUrl}/health
-    ✅ Video List: ${baseUrl}/api/videos
+    ✅ Video List: ${baseUrl}/api/videos (sources: ${[...storageProviders.values()].map(provider => provider.label).join(', ')})
+    ✅ Folders: ${baseUrl}/api/folders/:id
     ✅ Video Stream: ${baseUrl}/api/video/:id
     ✅ Debug: ${baseUrl}/api/debug/:id
     ✅ Auth Status: ${baseUrl}/api/auth-status
-    ✅ Stream Proxy: ${baseUrl}/api/stream/:id
+    ✅ Stream Proxy: ${baseUrl}/api/stream/:id (block cache: ${isBlockCacheEnabled() ? formatFileSize(BLOCK_CACHE_MAX_BYTES) : 'off'})
+    ✅ Transcoding: ${baseUrl}/api/transcode/:id (ffmpeg: ${FFMPEG_PATH}, max ${MAX_TRANSCODES} at once)
+    ✅ HLS: ${baseUrl}/api/hls/:id/master.m3u8 (cache: ${HLS_DIR}, max ${HLS_CACHE_MAX_BYTES ? formatFileSize(HLS_CACHE_MAX_BYTES) : 'unlimited'})
+    ✅ Subtitles: ${baseUrl}/api/video/:id/subtitles, ${baseUrl}/api/subtitles/:id
+    ✅ Thumbnails: ${baseUrl}/api/thumbnail/:id
+    ✅ Watch Progress: ${baseUrl}/api/progress/:id
+    ✅ Bookmarks & Chapters: ${baseUrl}/api/video/:id/bookmarks, ${baseUrl}/api/video/:id/chapters
+    ✅ Review Comments: ${baseUrl}/api/comments/:id, ${baseUrl}/api/comments/:id/export?format=csv|edl
+    ✅ Video Metadata: ${baseUrl}/api/video/:id/metadata, ${baseUrl}/api/tags (Drive mirror: ${MIRROR_METADATA_TO_DRIVE ? 'on' : 'off'})
+    ✅ Playlists: ${baseUrl}/api/playlists
+    ✅ Watch Parties: ${baseUrl}/api/parties (in memory)
+    ✅ Share Links: ${baseUrl}/api/share, ${baseUrl}/s/:token
+    ✅ Drive Accounts: ${baseUrl}/api/drive-accounts (admin)
+    ✅ Library Index: ${baseUrl}/api/library/status (synced every ${LIBRARY_SYNC_INTERVAL / 1000}s)
+    ✅ Uploads: ${baseUrl}/api/upload (admin, ${DRIVE_WRITE_ACCESS ? 'on' : 'off: set DRIVE_WRITE_ACCESS=true'})
+    ✅ Library Management: ${baseUrl}/api/video/:id (PATCH, DELETE), ${baseUrl}/api/trash, ${baseUrl}/api/videos/bulk (admin, ${DRIVE_WRITE_ACCESS ? 'on' : 'off'})
+    ✅ Audit Log: ${baseUrl}/api/audit?format=json|csv (admin, ${AUDIT_LOG_FILE})
     
     ⚠️  Important:
     1. Google Cloud Redirect URI must include: ${baseUrl}/auth/callback
@@ -829,10 +6693,14 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    activeTranscodes.forEach(ffmpeg => ffmpeg.kill('SIGKILL'));
+    hlsJobs.forEach(job => job.process && job.process.kill('SIGKILL'));
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     console.log('SIGINT received. Shutting down...');
+    activeTranscodes.forEach(ffmpeg => ffmpeg.kill('SIGKILL'));
+    hlsJobs.forEach(job => job.process && job.process.kill('SIGKILL'));
     process.exit(0);
 });